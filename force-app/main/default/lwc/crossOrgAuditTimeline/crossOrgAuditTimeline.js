@@ -0,0 +1,84 @@
+import { LightningElement, api, track } from 'lwc';
+import getHistory from '@salesforce/apex/CrossOrgAuditLog.getHistory';
+
+const OPERATION_ICONS = {
+    Create: 'utility:add',
+    Update: 'utility:edit',
+    Delete: 'utility:delete',
+    Restore: 'utility:undo'
+};
+
+const OUTCOME_BADGES = {
+    Success: 'slds-theme_success',
+    Failure: 'slds-theme_error',
+    Conflict: 'slds-theme_warning'
+};
+
+function displayValue(value) {
+    return value === null || value === undefined || value === '' ? '(blank)' : value;
+}
+
+/** Audit history (CrossOrgAuditLog.getHistory) of one external record, newest first. */
+export default class CrossOrgAuditTimeline extends LightningElement {
+    @api connectionKey = '';
+    @api objectApiName = '';
+    @api recordId = '';
+    /** Edit form field definitions; used to show field labels instead of API names. */
+    @api editFields = [];
+
+    @track entries = [];
+    @track isLoading = false;
+    @track errorMessage = '';
+
+    connectedCallback() {
+        this.loadHistory();
+    }
+
+    loadHistory() {
+        if (!this.recordId) return;
+        this.isLoading = true;
+        this.errorMessage = '';
+        getHistory({ connectionKey: this.connectionKey || null, objectType: this.objectApiName, recordId: this.recordId })
+            .then((entries) => {
+                this.isLoading = false;
+                this.entries = (entries || []).map((entry) => this.toTimelineItem(entry));
+            })
+            .catch((error) => {
+                this.isLoading = false;
+                this.errorMessage = error.body?.message || error.message || 'Failed to load history.';
+            });
+    }
+
+    toTimelineItem(entry) {
+        const labels = {};
+        (this.editFields || []).forEach((f) => {
+            labels[f.fieldName || f.FieldName] = f.label;
+        });
+        return {
+            ...entry,
+            iconName: OPERATION_ICONS[entry.operation] || 'utility:record',
+            badgeClass: `slds-badge ${OUTCOME_BADGES[entry.outcome] || ''}`,
+            userLabel: entry.userName || 'Unknown user',
+            statusLabel: entry.statusCode ? `HTTP ${entry.statusCode}` : '',
+            hasChanges: (entry.changes || []).length > 0,
+            changes: (entry.changes || []).map((c) => ({
+                key: `${entry.id}-${c.fieldName}`,
+                label: labels[c.fieldName] || c.fieldName,
+                oldValue: displayValue(c.oldValue),
+                newValue: displayValue(c.newValue)
+            }))
+        };
+    }
+
+    get hasEntries() {
+        return this.entries.length > 0;
+    }
+
+    get isEmpty() {
+        return !this.isLoading && !this.errorMessage && this.entries.length === 0;
+    }
+
+    handleRefresh() {
+        this.loadHistory();
+    }
+}
@@ -0,0 +1,47 @@
+import LightningModal from 'lightning/modal';
+import { api } from 'lwc';
+
+const RESULT_COLUMNS = [
+    { label: 'Record', fieldName: 'recordLabel', type: 'text' },
+    { label: 'Record Id', fieldName: 'recordId', type: 'text', initialWidth: 180 },
+    {
+        label: 'Status',
+        fieldName: 'status',
+        type: 'text',
+        initialWidth: 110,
+        cellAttributes: { iconName: { fieldName: 'statusIcon' } }
+    },
+    { label: 'Message', fieldName: 'message', type: 'text', wrapText: true }
+];
+
+/** Per-record outcome of a bulk delete/update (CrossOrgBulkSaveResponse.results). */
+export default class CrossOrgBulkResultModal extends LightningModal {
+    @api heading = 'Bulk results';
+    @api results = [];
+    /** Record Id -> display label, so rows show names instead of bare Ids. */
+    @api recordLabels = {};
+
+    columns = RESULT_COLUMNS;
+
+    get rows() {
+        const labels = this.recordLabels || {};
+        return (this.results || []).map((r, i) => ({
+            key: (r.recordId || 'row') + '-' + i,
+            recordId: r.recordId,
+            recordLabel: labels[r.recordId] || r.recordId,
+            status: r.success ? 'Success' : 'Failed',
+            statusIcon: r.success ? 'utility:success' : 'utility:error',
+            message: r.success ? '' : r.errorMessage
+        }));
+    }
+
+    get summary() {
+        const all = this.results || [];
+        const failed = all.filter((r) => !r.success).length;
+        return `${all.length - failed} succeeded, ${failed} failed.`;
+    }
+
+    handleClose() {
+        this.close();
+    }
+}
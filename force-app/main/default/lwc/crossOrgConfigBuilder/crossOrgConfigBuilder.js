@@ -0,0 +1,476 @@
+import { LightningElement, api, track } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getConnections from '@salesforce/apex/CrossOrgConnection.getConnections';
+import getObjects from '@salesforce/apex/CrossOrgConfigService.getObjects';
+import getFields from '@salesforce/apex/CrossOrgConfigService.getFields';
+import getConfig from '@salesforce/apex/CrossOrgConfigService.getConfig';
+import previewTable from '@salesforce/apex/CrossOrgConfigService.previewTable';
+import saveConfig from '@salesforce/apex/CrossOrgConfigService.saveConfig';
+
+const LIST_TABLE = 'tableFields';
+const LIST_EDIT = 'editFields';
+const LIST_CREATE = 'createFields';
+
+const LIST_LABELS = {
+    [LIST_TABLE]: 'Table',
+    [LIST_EDIT]: 'Edit form',
+    [LIST_CREATE]: 'Create form'
+};
+
+/** ConfigField properties sent to saveConfig; everything else on a list entry is UI state. */
+const CONFIG_PROPERTIES = [
+    'developerName',
+    'fieldApiName',
+    'label',
+    'fieldType',
+    'isLink',
+    'isSortable',
+    'isSearchable',
+    'isMandatory',
+    'isExternalLookup',
+    'lookupObjectApiName'
+];
+
+let entryKey = 0;
+
+function toEntry(configField) {
+    entryKey += 1;
+    return { ...configField, key: `entry-${entryKey}` };
+}
+
+function toConfigField(entry) {
+    const field = {};
+    CONFIG_PROPERTIES.forEach((prop) => {
+        if (entry[prop] !== undefined) field[prop] = entry[prop];
+    });
+    return field;
+}
+
+/** Same column shapes as crossOrgRecordsViewer.buildTableColumns, without the row actions. */
+function buildPreviewColumns(columns) {
+    return (columns || []).map((col) => {
+        if (col.isLink === true) {
+            return {
+                label: col.label,
+                fieldName: col.fieldName,
+                type: 'button',
+                typeAttributes: { label: { fieldName: col.fieldName }, variant: 'base', name: 'viewRecord' },
+                cellAttributes: { alignment: 'left' },
+                sortable: col.sortable === true
+            };
+        }
+        const colType = (col.type || 'text').toLowerCase();
+        const colDef = { label: col.label, fieldName: col.fieldName, type: colType, sortable: col.sortable === true };
+        if (colType === 'picklist') {
+            colDef.typeAttributes = { options: col.options || [], context: { fieldName: 'Id' }, placeholder: 'Select' };
+        }
+        return colDef;
+    });
+}
+
+/**
+ * Admin builder for the viewer's field configs. Lists the external org's objects and fields; fields are dragged (or
+ * added) into the table, edit-form and create-form lists, reordered and given their flags, previewed with live rows and
+ * deployed as Main_Table_Component__mdt, Edit_Form_Field_List__mdt and New_Record_Field_List__mdt records.
+ */
+export default class CrossOrgConfigBuilder extends LightningElement {
+    /** Cross_Org_Connection__mdt DeveloperName of the org to read; blank uses the default connection. */
+    @api connectionKey = '';
+
+    @track connectionOptions = [];
+    @track selectedConnectionKey = '';
+    @track objectOptions = [];
+    @track selectedObject = '';
+    @track availableFields = [];
+    @track fieldSearch = '';
+    @track tableFields = [];
+    @track editFields = [];
+    @track createFields = [];
+    @track activeList = LIST_TABLE;
+    @track previewColumns = [];
+    @track previewRows = [];
+    @track previewError = '';
+    @track removedRecords = [];
+    @track isDirty = false;
+    @track isLoading = false;
+    @track isPreviewLoading = false;
+    @track errorMessage = '';
+
+    dragData = null;
+
+    connectedCallback() {
+        this.selectedConnectionKey = this.connectionKey || '';
+        this.loadConnections();
+        this.loadObjects();
+    }
+
+    get activeConnectionKey() {
+        return this.selectedConnectionKey || null;
+    }
+
+    get showConnectionPicker() {
+        return this.connectionOptions.length > 1;
+    }
+
+    loadConnections() {
+        getConnections()
+            .then((connections) => {
+                const list = connections || [];
+                this.connectionOptions = list.map((c) => ({ label: c.label, value: c.key }));
+                if (!this.selectedConnectionKey) {
+                    const defaultConnection = list.find((c) => c.isDefault) || list[0];
+                    if (defaultConnection) this.selectedConnectionKey = defaultConnection.key;
+                }
+            })
+            .catch(() => {
+                this.connectionOptions = [];
+            });
+    }
+
+    handleConnectionChange(event) {
+        if (event.detail.value === this.selectedConnectionKey) return;
+        this.selectedConnectionKey = event.detail.value;
+        this.availableFields = [];
+        this.loadObjects();
+        if (this.selectedObject) this.loadFields();
+    }
+
+    loadObjects() {
+        getObjects({ connectionKey: this.activeConnectionKey })
+            .then((objects) => {
+                this.objectOptions = (objects || []).map((o) => ({ label: `${o.label} (${o.name})`, value: o.name }));
+            })
+            .catch((error) => {
+                this.objectOptions = [];
+                this.errorMessage = error.body?.message || error.message || 'Failed to load objects.';
+            });
+    }
+
+    handleObjectChange(event) {
+        this.selectedObject = event.detail.value;
+        this.errorMessage = '';
+        this.removedRecords = [];
+        this.resetPreview();
+        this.loadFields();
+        this.loadConfig();
+    }
+
+    loadFields() {
+        this.availableFields = [];
+        getFields({ connectionKey: this.activeConnectionKey, objectType: this.selectedObject })
+            .then((fields) => {
+                this.availableFields = fields || [];
+            })
+            .catch((error) => {
+                this.errorMessage = error.body?.message || error.message || 'Failed to load fields.';
+            });
+    }
+
+    loadConfig() {
+        this.isLoading = true;
+        getConfig({ objectType: this.selectedObject })
+            .then((config) => {
+                this.isLoading = false;
+                this.tableFields = (config?.tableFields || []).map(toEntry);
+                this.editFields = (config?.editFields || []).map(toEntry);
+                this.createFields = (config?.createFields || []).map(toEntry);
+                this.isDirty = false;
+            })
+            .catch((error) => {
+                this.isLoading = false;
+                this.errorMessage = error.body?.message || error.message || 'Failed to load configuration.';
+            });
+    }
+
+    get hasObject() {
+        return !!this.selectedObject;
+    }
+
+    get saveDisabled() {
+        return this.isLoading || !this.selectedObject || !this.isDirty;
+    }
+
+    get activeListLabel() {
+        return LIST_LABELS[this.activeList] || '';
+    }
+
+    get isPreviewActive() {
+        return this.activeList === 'preview';
+    }
+
+    handleTabActive(event) {
+        this.activeList = event.target.value;
+        if (this.isPreviewActive) this.loadPreview();
+    }
+
+    // ----- field palette -----
+
+    handleFieldSearch(event) {
+        this.fieldSearch = event.target.value || '';
+    }
+
+    /** Describe fields matching the search; fields already in the active list cannot be added again. */
+    get paletteFields() {
+        const term = this.fieldSearch.trim().toLowerCase();
+        const used = new Set((this[this.activeList] || []).map((e) => e.fieldApiName.toLowerCase()));
+        return this.availableFields
+            .filter((f) => !term || f.label.toLowerCase().includes(term) || f.name.toLowerCase().includes(term))
+            .map((f) => {
+                const isAdded = this.isPreviewActive || used.has(f.name.toLowerCase());
+                return {
+                    ...f,
+                    isAdded,
+                    draggable: isAdded ? 'false' : 'true',
+                    itemClass: `slds-list__item slds-p-vertical_xx-small slds-p-horizontal_x-small palette-item${isAdded ? ' palette-item_added' : ''}`
+                };
+            });
+    }
+
+    get hasPaletteFields() {
+        return this.paletteFields.length > 0;
+    }
+
+    handleAddField(event) {
+        this.addField(event.currentTarget.dataset.fieldName, this[this.activeList].length);
+    }
+
+    /** New list entry for a describe field, with the defaults the describe suggests for the active list. */
+    addField(fieldName, index) {
+        if (this.isPreviewActive) return;
+        const field = this.availableFields.find((f) => f.name === fieldName);
+        if (!field) return;
+        const list = this[this.activeList];
+        if (list.some((e) => e.fieldApiName.toLowerCase() === fieldName.toLowerCase())) return;
+        const isFormLookup = this.activeList !== LIST_TABLE && field.isReference === true;
+        const entry = toEntry({
+            developerName: null,
+            fieldApiName: field.name,
+            label: '',
+            fieldType: field.fieldType,
+            isLink: this.activeList === LIST_TABLE && list.length === 0,
+            isSortable: this.activeList === LIST_TABLE,
+            isSearchable: false,
+            isMandatory: this.activeList === LIST_CREATE && field.isRequiredOnCreate === true,
+            isExternalLookup: isFormLookup,
+            lookupObjectApiName: isFormLookup && field.referenceTo?.length === 1 ? field.referenceTo[0] : ''
+        });
+        const updated = [...list];
+        updated.splice(index, 0, entry);
+        this.setActiveList(updated);
+    }
+
+    // ----- drag and drop -----
+
+    handlePaletteDragStart(event) {
+        this.dragData = { source: 'palette', fieldName: event.currentTarget.dataset.fieldName };
+        event.dataTransfer.effectAllowed = 'copy';
+        event.dataTransfer.setData('text/plain', this.dragData.fieldName);
+    }
+
+    handleEntryDragStart(event) {
+        this.dragData = { source: 'list', index: parseInt(event.currentTarget.dataset.index, 10) };
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', String(this.dragData.index));
+    }
+
+    handleDragOver(event) {
+        if (this.dragData) event.preventDefault();
+    }
+
+    handleDragEnd() {
+        this.dragData = null;
+    }
+
+    /** Dropped on an entry: insert before it. */
+    handleEntryDrop(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        this.drop(parseInt(event.currentTarget.dataset.index, 10));
+    }
+
+    /** Dropped on the list below the entries: append. */
+    handleListDrop(event) {
+        event.preventDefault();
+        this.drop(this[this.activeList].length);
+    }
+
+    drop(index) {
+        const data = this.dragData;
+        this.dragData = null;
+        if (!data) return;
+        if (data.source === 'palette') {
+            this.addField(data.fieldName, index);
+            return;
+        }
+        this.moveEntry(data.index, index);
+    }
+
+    moveEntry(from, to) {
+        const list = [...this[this.activeList]];
+        if (from < 0 || from >= list.length) return;
+        const [entry] = list.splice(from, 1);
+        list.splice(from < to ? to - 1 : to, 0, entry);
+        this.setActiveList(list);
+    }
+
+    // ----- list entries -----
+
+    get activeEntries() {
+        const list = this.isPreviewActive ? [] : this[this.activeList];
+        const fieldsByName = new Map(this.availableFields.map((f) => [f.name.toLowerCase(), f]));
+        return list.map((entry, index) => {
+            const field = fieldsByName.get(entry.fieldApiName.toLowerCase());
+            return {
+                ...entry,
+                index,
+                position: index + 1,
+                labelPlaceholder: field ? field.label : entry.fieldApiName,
+                typeLabel: entry.fieldType || field?.fieldType || 'text',
+                isUnknown: this.availableFields.length > 0 && !field && !entry.fieldApiName.includes('.'),
+                isFirst: index === 0,
+                isLast: index === list.length - 1
+            };
+        });
+    }
+
+    get hasActiveEntries() {
+        return this.activeEntries.length > 0;
+    }
+
+    get isTableList() {
+        return this.activeList === LIST_TABLE;
+    }
+
+    get isCreateList() {
+        return this.activeList === LIST_CREATE;
+    }
+
+    get isFormList() {
+        return this.activeList === LIST_EDIT || this.activeList === LIST_CREATE;
+    }
+
+    handleEntryChange(event) {
+        const index = parseInt(event.target.dataset.index, 10);
+        const prop = event.target.dataset.prop;
+        const value = event.target.type === 'checkbox' ? event.target.checked : event.target.value;
+        this.setActiveList(this[this.activeList].map((e, i) => (i === index ? { ...e, [prop]: value } : e)));
+    }
+
+    handleMoveUp(event) {
+        const index = parseInt(event.currentTarget.dataset.index, 10);
+        this.moveEntry(index, index - 1);
+    }
+
+    handleMoveDown(event) {
+        const index = parseInt(event.currentTarget.dataset.index, 10);
+        this.moveEntry(index, index + 2);
+    }
+
+    handleRemoveEntry(event) {
+        const index = parseInt(event.currentTarget.dataset.index, 10);
+        this.setActiveList(this[this.activeList].filter((_, i) => i !== index));
+    }
+
+    setActiveList(list) {
+        this[this.activeList] = list;
+        this.isDirty = true;
+        this.resetPreview();
+    }
+
+    // ----- preview and save -----
+
+    get configJson() {
+        return JSON.stringify({
+            tableFields: this.tableFields.map(toConfigField),
+            editFields: this.editFields.map(toConfigField),
+            createFields: this.createFields.map(toConfigField)
+        });
+    }
+
+    resetPreview() {
+        this.previewColumns = [];
+        this.previewRows = [];
+        this.previewError = '';
+    }
+
+    loadPreview() {
+        if (!this.selectedObject) return;
+        this.isPreviewLoading = true;
+        this.previewError = '';
+        previewTable({ connectionKey: this.activeConnectionKey, objectType: this.selectedObject, configJson: this.configJson })
+            .then((response) => {
+                this.isPreviewLoading = false;
+                if (!response.success) {
+                    this.previewError = response.errorMessage || 'Failed to load the preview.';
+                    return;
+                }
+                this.previewColumns = buildPreviewColumns(response.columns);
+                this.previewRows = response.records || [];
+            })
+            .catch((error) => {
+                this.isPreviewLoading = false;
+                this.previewError = error.body?.message || error.message || 'Failed to load the preview.';
+            });
+    }
+
+    get hasPreviewRows() {
+        return this.previewColumns.length > 0;
+    }
+
+    /** Form previews: the fields in order, with the required marker the create form would show. */
+    get editFormPreview() {
+        return this.editFields.map((e) => ({ key: e.key, label: e.label || this.describeLabel(e.fieldApiName), required: false }));
+    }
+
+    get createFormPreview() {
+        return this.createFields.map((e) => ({ key: e.key, label: e.label || this.describeLabel(e.fieldApiName), required: e.isMandatory === true }));
+    }
+
+    describeLabel(fieldApiName) {
+        const field = this.availableFields.find((f) => f.name.toLowerCase() === fieldApiName.toLowerCase());
+        return field ? field.label : fieldApiName;
+    }
+
+    get hasRemovedRecords() {
+        return this.removedRecords.length > 0;
+    }
+
+    handleSave() {
+        this.isLoading = true;
+        this.errorMessage = '';
+        this.removedRecords = [];
+        saveConfig({ objectType: this.selectedObject, configJson: this.configJson })
+            .then((response) => {
+                this.isLoading = false;
+                if (!response.success) {
+                    this.errorMessage = response.errorMessage || 'Failed to save the configuration.';
+                    return;
+                }
+                // New entries now have a DeveloperName; the deployment is async, so getConfig would not return them yet
+                this.tableFields = (response.config?.tableFields || []).map(toEntry);
+                this.editFields = (response.config?.editFields || []).map(toEntry);
+                this.createFields = (response.config?.createFields || []).map(toEntry);
+                this.isDirty = false;
+                this.removedRecords = response.removedRecords || [];
+                this.dispatchEvent(
+                    new ShowToastEvent({
+                        title: 'Deployment queued',
+                        message: response.deployedCount
+                            ? `${response.deployedCount} record(s) are being deployed. Track job ${response.jobId} under Setup > Deployment Status.`
+                            : 'Nothing to deploy.',
+                        variant: 'success'
+                    })
+                );
+            })
+            .catch((error) => {
+                this.isLoading = false;
+                this.errorMessage = error.body?.message || error.message || 'Failed to save the configuration.';
+            });
+    }
+
+    handleReset() {
+        this.removedRecords = [];
+        this.resetPreview();
+        this.loadConfig();
+    }
+}
@@ -0,0 +1,100 @@
+import { toCsv, parseCsv, downloadCsv, releaseCsvDownload } from 'c/crossOrgCsv';
+
+describe('c-cross-org-csv', () => {
+    describe('toCsv', () => {
+        it('writes a header row of labels and quotes values that need it', () => {
+            const columns = [
+                { fieldName: 'Name', label: 'Account Name' },
+                { fieldName: 'Description' }
+            ];
+            const csv = toCsv(columns, [{ Name: 'Acme, Inc.', Description: 'Says "hi"\nthen leaves' }, null]);
+            expect(csv).toBe('Account Name,Description\r\n"Acme, Inc.","Says ""hi""\nthen leaves"\r\n,');
+        });
+
+        it('neutralises formula characters in text columns but not numbers', () => {
+            const columns = [{ fieldName: 'Name', label: 'Name', type: 'text' }, { fieldName: 'Amount', label: 'Amount' }];
+            const csv = toCsv(columns, [{ Name: '=HYPERLINK("x")', Amount: -42.5 }]);
+            expect(csv.split('\r\n')[1]).toBe('"\'=HYPERLINK(""x"")",-42.5');
+        });
+
+        it('keeps values of plain value types as they are', () => {
+            const columns = [
+                { fieldName: 'Phone', label: 'Phone', type: 'phone' },
+                { fieldName: 'Email', label: 'Email', type: 'email' }
+            ];
+            const csv = toCsv(columns, [{ Phone: '+1 (555) 123-4567', Email: '@example' }]);
+            expect(csv.split('\r\n')[1]).toBe('+1 (555) 123-4567,@example');
+        });
+    });
+
+    describe('parseCsv', () => {
+        it('reads quoted commas, quotes and line breaks', () => {
+            const rows = parseCsv('Name,Note\r\n"Acme, Inc.","Says ""hi""\r\nthen leaves"');
+            expect(rows.map((r) => r.cells)).toEqual([
+                ['Name', 'Note'],
+                ['Acme, Inc.', 'Says "hi"\r\nthen leaves']
+            ]);
+        });
+
+        it('drops a leading BOM and blank lines but keeps empty cells', () => {
+            const rows = parseCsv('\ufeffA,B\n\n,2\n\n');
+            expect(rows.map((r) => r.cells)).toEqual([
+                ['A', 'B'],
+                ['', '2']
+            ]);
+        });
+
+        it('reports the file line each row starts on', () => {
+            const rows = parseCsv('A,B\n\n1,"two\nlines"\r\n2,"three\r\nmore\rlines"\n3,x');
+            expect(rows.map((r) => r.line)).toEqual([1, 3, 5, 8]);
+        });
+
+        it('returns no rows for empty input', () => {
+            expect(parseCsv('')).toEqual([]);
+            expect(parseCsv(null)).toEqual([]);
+        });
+    });
+
+    describe('round trip', () => {
+        it('imports an exported file back unchanged', () => {
+            const columns = [
+                { fieldName: 'Phone', label: 'Phone', type: 'phone' },
+                { fieldName: 'Note', label: 'Note', type: 'text' },
+                { fieldName: 'Formula', label: 'Formula' }
+            ];
+            const record = { Phone: '+1 (555) 123-4567', Note: '-N/A-', Formula: '=SUM(A1,A2)' };
+            const rows = parseCsv(toCsv(columns, [record]));
+            expect(rows[0].cells).toEqual(['Phone', 'Note', 'Formula']);
+            expect(rows[1].cells).toEqual([record.Phone, record.Note, record.Formula]);
+        });
+    });
+
+    describe('downloadCsv', () => {
+        let click;
+
+        beforeEach(() => {
+            URL.createObjectURL = jest.fn().mockReturnValueOnce('blob:first').mockReturnValueOnce('blob:second');
+            URL.revokeObjectURL = jest.fn();
+            click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            releaseCsvDownload();
+            click.mockRestore();
+        });
+
+        it('keeps the object URL until the next download or release', () => {
+            downloadCsv('a.csv', 'x');
+            expect(click).toHaveBeenCalledTimes(1);
+            expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+
+            downloadCsv('b.csv', 'y');
+            expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:first');
+
+            releaseCsvDownload();
+            expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:second');
+            releaseCsvDownload();
+            expect(URL.revokeObjectURL).toHaveBeenCalledTimes(2);
+        });
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * CSV helpers shared by the cross-org components (RFC 4180 quoting, UTF-8 with BOM so Excel keeps accents).
+ */
+
+const FORMULA_PREFIXES = ['=', '+', '-', '@'];
+/** Field types whose values are never formulas; a leading + or - there is data (phone numbers, negative amounts). */
+const PLAIN_VALUE_TYPES = ['phone', 'email', 'url', 'number', 'currency', 'percent', 'date', 'datetime', 'checkbox'];
+
+/** Object URL of the last download, revoked by the next download or releaseCsvDownload. */
+let pendingDownloadUrl = null;
+
+/**
+ * Quotes a value when needed and, unless type is a PLAIN_VALUE_TYPES type, neutralises leading formula characters
+ * with an apostrophe so spreadsheets don't evaluate them. parseCsv removes that apostrophe again.
+ */
+function formatCell(value, type) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (
+        !PLAIN_VALUE_TYPES.includes(String(type || '').toLowerCase()) &&
+        FORMULA_PREFIXES.includes(text.charAt(0)) &&
+        Number.isNaN(Number(text))
+    ) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        text = `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/** A cell as written by formatCell: the apostrophe it put before a formula character is dropped. */
+function readCell(text) {
+    return text.charAt(0) === "'" && FORMULA_PREFIXES.includes(text.charAt(1)) ? text.slice(1) : text;
+}
+
+/**
+ * Builds CSV text from rows. columns: [{ fieldName, label, type }]; the labels become the header row and
+ * each row is read by fieldName (flattened relationship keys such as Account.Name included). type is the
+ * field type from the column config, which decides whether formula characters are neutralised.
+ */
+export function toCsv(columns, rows) {
+    const lines = [columns.map((c) => formatCell(c.label || c.fieldName)).join(',')];
+    (rows || []).forEach((row) => {
+        lines.push(columns.map((c) => formatCell(row ? row[c.fieldName] : null, c.type)).join(','));
+    });
+    return lines.join('\r\n');
+}
+
+/**
+ * Parses CSV text into rows: { cells (array of strings), line (1-based line of the file the row starts on) }.
+ * Handles quoted fields with embedded commas, quotes and line breaks, CRLF or LF line endings, a leading BOM,
+ * and skips blank lines; line still counts them and the line breaks inside quoted fields. The apostrophe toCsv
+ * puts before formula characters is removed, so an exported file imports back unchanged.
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+    const src = String(text || '').replace(/^\ufeff/, '');
+    for (let i = 0; i < src.length; i++) {
+        const c = src.charAt(i);
+        if (inQuotes) {
+            if (c === '"' && src.charAt(i + 1) === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                inQuotes = false;
+            } else {
+                field += c;
+                if (c === '\n' || (c === '\r' && src.charAt(i + 1) !== '\n')) line++;
+            }
+        } else if (c === '"') {
+            inQuotes = true;
+        } else if (c === ',') {
+            row.push(readCell(field));
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && src.charAt(i + 1) === '\n') i++;
+            row.push(readCell(field));
+            field = '';
+            if (row.length > 1 || row[0] !== '') rows.push({ cells: row, line: rowLine });
+            row = [];
+            line++;
+            rowLine = line;
+        } else {
+            field += c;
+        }
+    }
+    row.push(readCell(field));
+    if (row.length > 1 || row[0] !== '') rows.push({ cells: row, line: rowLine });
+    return rows;
+}
+
+/**
+ * Starts a browser download of csv text as fileName. The file is a Blob behind an object URL, not a data: URL,
+ * which browsers cap (about 2 MB in Chromium) and would silently cut large exports at. The URL must outlive the
+ * click (Firefox and Safari read it after click() returns), so it is revoked by the next download or by
+ * releaseCsvDownload when the component disconnects.
+ */
+export function downloadCsv(fileName, csv) {
+    releaseCsvDownload();
+    pendingDownloadUrl = URL.createObjectURL(new Blob(['\ufeff' + csv], { type: 'text/csv;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = pendingDownloadUrl;
+    link.target = '_self';
+    link.download = fileName;
+    link.click();
+}
+
+/** Revokes the object URL of the last download, if any. */
+export function releaseCsvDownload() {
+    if (pendingDownloadUrl) {
+        URL.revokeObjectURL(pendingDownloadUrl);
+        pendingDownloadUrl = null;
+    }
+}
@@ -0,0 +1,18 @@
+import LightningDatatable from 'lightning/datatable';
+import picklistCell from './picklistCell.html';
+import picklistEdit from './picklistEdit.html';
+
+/**
+ * lightning-datatable with a 'picklist' column type, so picklist cells can be edited inline
+ * with the options synced into Picklist_Sync__mdt.
+ */
+export default class CrossOrgDatatable extends LightningDatatable {
+    static customTypes = {
+        picklist: {
+            template: picklistCell,
+            editTemplate: picklistEdit,
+            standardCellLayout: true,
+            typeAttributes: ['options', 'placeholder', 'context']
+        }
+    };
+}
@@ -0,0 +1,185 @@
+import { LightningElement, api, track } from 'lwc';
+
+const OPERATOR_LABELS = {
+    equals: 'equals',
+    notEquals: 'not equal to',
+    contains: 'contains',
+    in: 'is any of',
+    notIn: 'is none of',
+    greaterThan: 'greater than',
+    greaterOrEqual: 'greater or equal',
+    lessThan: 'less than',
+    lessOrEqual: 'less or equal',
+    between: 'between',
+    isBlank: 'is blank',
+    isNotBlank: 'is not blank'
+};
+
+const TEXT_OPERATORS = ['contains', 'equals', 'notEquals', 'isBlank', 'isNotBlank'];
+const NUMBER_OPERATORS = ['equals', 'notEquals', 'greaterThan', 'greaterOrEqual', 'lessThan', 'lessOrEqual', 'between', 'isBlank', 'isNotBlank'];
+const DATE_OPERATORS = ['equals', 'greaterThan', 'lessThan', 'between', 'isBlank', 'isNotBlank'];
+
+const OPERATORS_BY_TYPE = {
+    text: TEXT_OPERATORS,
+    email: TEXT_OPERATORS,
+    phone: TEXT_OPERATORS,
+    url: TEXT_OPERATORS,
+    textarea: TEXT_OPERATORS,
+    picklist: ['in', 'notIn', 'isBlank', 'isNotBlank'],
+    multipicklist: ['in', 'notIn', 'isBlank', 'isNotBlank'],
+    number: NUMBER_OPERATORS,
+    currency: NUMBER_OPERATORS,
+    percent: NUMBER_OPERATORS,
+    date: DATE_OPERATORS,
+    datetime: DATE_OPERATORS,
+    checkbox: ['equals']
+};
+
+const CHECKBOX_OPTIONS = [
+    { label: 'True', value: 'true' },
+    { label: 'False', value: 'false' }
+];
+
+const NO_VALUE_OPERATORS = ['isBlank', 'isNotBlank'];
+const MULTI_VALUE_OPERATORS = ['in', 'notIn'];
+
+let filterKey = 0;
+
+/**
+ * Structured filters for crossOrgRecordsViewer. Columns are the ColumnDefinition list from getRecords;
+ * Apply dispatches `filterchange` with { filters: [{ fieldName, operator, value, valueTo, values }] }.
+ */
+export default class CrossOrgFilterPanel extends LightningElement {
+    @api columns = [];
+
+    @track filterRows = [];
+    @track errorMessage = '';
+
+    @api
+    get filters() {
+        return this._appliedFilters;
+    }
+    set filters(value) {
+        this._appliedFilters = Array.isArray(value) ? value : [];
+        this.filterRows = this._appliedFilters.map((f) => ({ ...f, values: f.values || [], key: 'filter-' + ++filterKey }));
+    }
+    _appliedFilters = [];
+
+    get fieldOptions() {
+        return (this.columns || [])
+            .filter((col) => col.fieldName && OPERATORS_BY_TYPE[this.columnType(col)])
+            .map((col) => ({ label: col.label || col.fieldName, value: col.fieldName }));
+    }
+
+    get hasNoRows() {
+        return this.filterRows.length === 0;
+    }
+
+    get rows() {
+        return this.filterRows.map((row) => {
+            const column = this.findColumn(row.fieldName);
+            const type = column ? this.columnType(column) : 'text';
+            const operators = OPERATORS_BY_TYPE[type] || TEXT_OPERATORS;
+            const operator = row.operator || operators[0];
+            const needsValue = !NO_VALUE_OPERATORS.includes(operator);
+            const isMulti = MULTI_VALUE_OPERATORS.includes(operator);
+            return {
+                ...row,
+                operator,
+                operatorOptions: operators.map((op) => ({ label: OPERATOR_LABELS[op], value: op })),
+                showMultiValue: needsValue && isMulti,
+                showCheckboxValue: needsValue && type === 'checkbox',
+                showSingleValue: needsValue && !isMulti && type !== 'checkbox',
+                showRangeValue: operator === 'between',
+                valueOptions: (column && column.options) || [],
+                checkboxOptions: CHECKBOX_OPTIONS,
+                inputType: this.inputTypeFor(type),
+                valueLabel: operator === 'between' ? 'From' : 'Value'
+            };
+        });
+    }
+
+    columnType(col) {
+        return (col.type || 'text').toLowerCase();
+    }
+
+    findColumn(fieldName) {
+        return (this.columns || []).find((col) => col.fieldName === fieldName);
+    }
+
+    inputTypeFor(type) {
+        if (type === 'number' || type === 'currency' || type === 'percent') return 'number';
+        if (type === 'date' || type === 'datetime') return 'date';
+        return 'text';
+    }
+
+    updateRow(key, changes) {
+        this.filterRows = this.filterRows.map((row) => (row.key === key ? { ...row, ...changes } : row));
+    }
+
+    handleAddFilter() {
+        const first = this.fieldOptions[0];
+        this.filterRows = [
+            ...this.filterRows,
+            { key: 'filter-' + ++filterKey, fieldName: first ? first.value : '', operator: '', value: '', valueTo: '', values: [] }
+        ];
+    }
+
+    handleRemoveFilter(event) {
+        const key = event.currentTarget.dataset.key;
+        this.filterRows = this.filterRows.filter((row) => row.key !== key);
+    }
+
+    handleFieldSelect(event) {
+        this.updateRow(event.target.dataset.key, { fieldName: event.detail.value, operator: '', value: '', valueTo: '', values: [] });
+    }
+
+    handleOperatorSelect(event) {
+        this.updateRow(event.target.dataset.key, { operator: event.detail.value });
+    }
+
+    handleValueChange(event) {
+        this.updateRow(event.target.dataset.key, { value: event.detail.value });
+    }
+
+    handleValueToChange(event) {
+        this.updateRow(event.target.dataset.key, { valueTo: event.detail.value });
+    }
+
+    handleValuesChange(event) {
+        this.updateRow(event.target.dataset.key, { values: event.detail.value || [] });
+    }
+
+    handleApply() {
+        this.errorMessage = '';
+        const filters = [];
+        for (const row of this.rows) {
+            if (!row.fieldName) continue;
+            const filter = { fieldName: row.fieldName, operator: row.operator };
+            if (row.showMultiValue) {
+                if (!row.values || row.values.length === 0) {
+                    this.errorMessage = 'Select at least one value for each "any of" / "none of" filter.';
+                    return;
+                }
+                filter.values = [...row.values];
+            } else if (row.showSingleValue || row.showCheckboxValue) {
+                if (row.value == null || String(row.value).trim() === '' || (row.showRangeValue && (row.valueTo == null || String(row.valueTo).trim() === ''))) {
+                    this.errorMessage = 'Enter a value for each filter.';
+                    return;
+                }
+                filter.value = row.value;
+                if (row.showRangeValue) filter.valueTo = row.valueTo;
+            }
+            filters.push(filter);
+        }
+        this._appliedFilters = filters;
+        this.dispatchEvent(new CustomEvent('filterchange', { detail: { filters } }));
+    }
+
+    handleClear() {
+        this.errorMessage = '';
+        this.filterRows = [];
+        this._appliedFilters = [];
+        this.dispatchEvent(new CustomEvent('filterchange', { detail: { filters: [] } }));
+    }
+}
@@ -0,0 +1,113 @@
+import { createElement } from 'lwc';
+import CrossOrgImportWizard from 'c/crossOrgImportWizard';
+import importRecords from '@salesforce/apex/CrossOrgRecordsController.importRecords';
+
+// sfdx-lwc-jest has no lightning/modal stub
+jest.mock(
+    'lightning/modal',
+    () => {
+        const { LightningElement } = require('lwc');
+        return {
+            __esModule: true,
+            default: class LightningModal extends LightningElement {
+                close() {}
+            }
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock('@salesforce/apex/CrossOrgRecordsController.importRecords', () => ({ default: jest.fn() }), { virtual: true });
+
+const CREATE_FIELDS = [
+    { fieldName: 'LastName', label: 'Last Name', type: 'text', required: true },
+    { fieldName: 'Email', label: 'Email', type: 'email' }
+];
+
+/** Lets pending promise callbacks (file read, Apex calls, re-render) run. */
+function flushPromises(ticks = 30) {
+    return ticks > 0 ? Promise.resolve().then(() => flushPromises(ticks - 1)) : Promise.resolve();
+}
+
+function createWizard() {
+    const element = createElement('c-cross-org-import-wizard', { is: CrossOrgImportWizard });
+    element.objectApiName = 'Contact';
+    element.createFields = CREATE_FIELDS;
+    document.body.appendChild(element);
+    return element;
+}
+
+function button(element, label) {
+    return Array.from(element.shadowRoot.querySelectorAll('lightning-button')).find((b) => b.label.startsWith(label));
+}
+
+/** Uploads csv and goes on to the preview; the headers match the create fields, so they are mapped already. */
+async function preview(element, csv) {
+    const input = element.shadowRoot.querySelector('lightning-input');
+    Object.defineProperty(input, 'files', { value: [{ name: 'contacts.csv', text: () => Promise.resolve(csv) }] });
+    input.dispatchEvent(new CustomEvent('change'));
+    await flushPromises();
+    button(element, 'Preview').click();
+    await flushPromises();
+}
+
+function resultSummary(element) {
+    return element.shadowRoot.querySelector('lightning-modal-body p').textContent;
+}
+
+describe('c-cross-org-import-wizard', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('numbers rows by the file line they start on', async () => {
+        const element = createWizard();
+        await preview(element, 'Last Name,Email\n\nSmith,"smith@example.com"\n"Multi\nline",bad-email\n,jones@example.com\n');
+
+        const data = element.shadowRoot.querySelector('lightning-datatable').data;
+        expect(data.map((r) => r.rowNumber)).toEqual([3, 4, 6]);
+        expect(data.map((r) => r.status)).toEqual(['Valid', 'Invalid', 'Invalid']);
+        expect(data[1].errorText).toBe('Invalid email format for Email.');
+        expect(data[2].errorText).toBe('Last Name is required.');
+    });
+
+    it('sends batches one after the other and fails the rest when a call errors', async () => {
+        const lines = ['Last Name'];
+        for (let i = 1; i <= 450; i++) lines.push(`Person ${i}`);
+        importRecords
+            .mockImplementationOnce(({ recordsJson }) =>
+                Promise.resolve({ success: true, results: JSON.parse(recordsJson).map(() => ({ success: true })) })
+            )
+            .mockRejectedValueOnce({ body: { message: 'Read timed out' } });
+        const element = createWizard();
+        await preview(element, lines.join('\n'));
+
+        button(element, 'Import').click();
+        await flushPromises();
+
+        expect(importRecords).toHaveBeenCalledTimes(2);
+        expect(JSON.parse(importRecords.mock.calls[1][0].recordsJson)[0]).toEqual({ LastName: 'Person 201' });
+        expect(resultSummary(element)).toBe('200 record(s) saved, 250 row(s) failed.');
+        expect(element.shadowRoot.querySelector('.slds-alert_error h2').textContent).toBe('Read timed out');
+    });
+
+    it('reports rows the external org rejected and audit log failures', async () => {
+        importRecords.mockResolvedValueOnce({
+            success: true,
+            auditError: 'The change was made but could not be recorded in the audit log: boom',
+            results: [{ success: true }, { success: false, errorMessage: 'Duplicate' }]
+        });
+        const element = createWizard();
+        await preview(element, 'Last Name\nSmith\nJones\n');
+
+        button(element, 'Import').click();
+        await flushPromises();
+
+        expect(resultSummary(element)).toBe('1 record(s) saved, 1 row(s) failed.');
+        expect(element.shadowRoot.querySelector('.slds-alert_warning h2').textContent).toContain('audit log');
+        expect(button(element, 'Download error report')).toBeTruthy();
+    });
+});
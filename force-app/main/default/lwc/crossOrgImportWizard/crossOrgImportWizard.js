@@ -0,0 +1,374 @@
+import LightningModal from 'lightning/modal';
+import { api, track } from 'lwc';
+import importRecords from '@salesforce/apex/CrossOrgRecordsController.importRecords';
+import { parseCsv, toCsv, downloadCsv, releaseCsvDownload } from 'c/crossOrgCsv';
+import { validateFieldValue, checkValidationRules } from 'c/crossOrgValidation';
+
+/** Rows sent per Apex call; matches the Collections API limit so each call is one callout. */
+const IMPORT_BATCH_SIZE = 200;
+const PREVIEW_ROW_LIMIT = 100;
+const MODE_CREATE = 'create';
+const MODE_UPSERT = 'upsert';
+const MODE_OPTIONS = [
+    { label: 'Create new records', value: MODE_CREATE },
+    { label: 'Upsert on an external ID field', value: MODE_UPSERT }
+];
+const TRUE_VALUES = ['true', '1', 'yes', 'y'];
+
+/** Lowercase and strip spaces/underscores so "Last Name", "last_name" and "LastName" match. */
+function matchKey(s) {
+    return String(s || '')
+        .toLowerCase()
+        .replace(/[\s_]/g, '');
+}
+
+/**
+ * CSV import: upload a file, map its columns to New_Record_Field_List__mdt fields, preview validation
+ * (the record modal's required/email/phone rules), then create or upsert in batches. Rows that fail
+ * validation or the external org's save end up in a downloadable error report.
+ * Closes with { imported: true } when at least one record was saved.
+ */
+export default class CrossOrgImportWizard extends LightningModal {
+    @api objectApiName = '';
+    @api connectionKey = '';
+    @api createFields = [];
+
+    @track step = 'upload';
+    @track fileName = '';
+    @track headers = [];
+    @track mappings = [];
+    @track mode = MODE_CREATE;
+    @track externalIdField = '';
+    @track externalIdColumn = '';
+    @track validatedRows = [];
+    @track failures = [];
+    @track successCount = 0;
+    @track processedCount = 0;
+    @track isImporting = false;
+    @track errorMessage = '';
+    /** Set when rows were imported but their audit log entries could not be written. */
+    @track auditError = '';
+
+    modeOptions = MODE_OPTIONS;
+    _dataRows = [];
+
+    disconnectedCallback() {
+        releaseCsvDownload();
+    }
+
+    get modalTitle() {
+        return `Import ${this.objectApiName} records`;
+    }
+
+    get isUploadStep() {
+        return this.step === 'upload';
+    }
+
+    get isMapStep() {
+        return this.step === 'map';
+    }
+
+    get isPreviewStep() {
+        return this.step === 'preview';
+    }
+
+    get isResultStep() {
+        return this.step === 'result';
+    }
+
+    get isUpsert() {
+        return this.mode === MODE_UPSERT;
+    }
+
+    get fieldOptions() {
+        return [
+            { label: '-- Do not import --', value: '' },
+            ...(this.createFields || []).map((f) => ({ label: f.label || f.fieldName, value: f.fieldName }))
+        ];
+    }
+
+    get headerOptions() {
+        return this.headers.map((h, i) => ({ label: h || `Column ${i + 1}`, value: String(i) }));
+    }
+
+    get rowCountText() {
+        return `${this._dataRows.length} row(s) in ${this.fileName}`;
+    }
+
+    get mappedFields() {
+        return this.mappings.filter((m) => m.fieldName);
+    }
+
+    get validRows() {
+        return this.validatedRows.filter((r) => r.errors.length === 0);
+    }
+
+    get invalidRowCount() {
+        return this.validatedRows.length - this.validRows.length;
+    }
+
+    get previewSummary() {
+        return `${this.validRows.length} of ${this.validatedRows.length} row(s) are valid; ${this.invalidRowCount} will be skipped and listed in the error report.`;
+    }
+
+    get previewColumns() {
+        return [
+            { label: 'Line', fieldName: 'rowNumber', type: 'number', initialWidth: 70 },
+            {
+                label: 'Status',
+                fieldName: 'status',
+                type: 'text',
+                initialWidth: 110,
+                cellAttributes: { iconName: { fieldName: 'statusIcon' } }
+            },
+            { label: 'Errors', fieldName: 'errorText', type: 'text', wrapText: true },
+            ...this.mappedFields.map((m) => ({ label: m.fieldLabel, fieldName: m.fieldName, type: 'text' }))
+        ];
+    }
+
+    get previewData() {
+        return this.validatedRows.slice(0, PREVIEW_ROW_LIMIT).map((r) => ({
+            ...r.values,
+            key: String(r.rowNumber),
+            rowNumber: r.rowNumber,
+            status: r.errors.length === 0 ? 'Valid' : 'Invalid',
+            statusIcon: r.errors.length === 0 ? 'utility:success' : 'utility:error',
+            errorText: r.errors.join(' ')
+        }));
+    }
+
+    get previewLimitNote() {
+        return this.validatedRows.length > PREVIEW_ROW_LIMIT ? `Showing the first ${PREVIEW_ROW_LIMIT} rows.` : '';
+    }
+
+    get importButtonLabel() {
+        if (this.isImporting) return `Importing ${this.processedCount} of ${this.validRows.length}...`;
+        return `Import ${this.validRows.length} row(s)`;
+    }
+
+    get importDisabled() {
+        return this.isImporting || this.validRows.length === 0;
+    }
+
+    get resultSummary() {
+        return `${this.successCount} record(s) saved, ${this.failures.length} row(s) failed.`;
+    }
+
+    get hasFailures() {
+        return this.failures.length > 0;
+    }
+
+    get showBack() {
+        return this.isMapStep || (this.isPreviewStep && !this.isImporting);
+    }
+
+    handleFileChange(event) {
+        const file = event.target.files && event.target.files[0];
+        if (!file) return;
+        this.errorMessage = '';
+        file.text()
+            .then((text) => {
+                const rows = parseCsv(text);
+                if (rows.length < 2) {
+                    this.errorMessage = 'The file needs a header row and at least one data row.';
+                    return;
+                }
+                this.fileName = file.name;
+                this.headers = rows[0].cells.map((h) => h.trim());
+                this._dataRows = rows.slice(1);
+                this.mappings = this.headers.map((header, index) => this.autoMap(header, index));
+                this.step = 'map';
+            })
+            .catch(() => {
+                this.errorMessage = 'The file could not be read.';
+            });
+    }
+
+    /** Pre-selects the create field whose label or API name matches the CSV header. */
+    autoMap(header, index) {
+        const key = matchKey(header);
+        const field = (this.createFields || []).find((f) => matchKey(f.label) === key || matchKey(f.fieldName) === key);
+        return {
+            index,
+            header: header || `Column ${index + 1}`,
+            fieldName: field ? field.fieldName : '',
+            fieldLabel: field ? field.label || field.fieldName : ''
+        };
+    }
+
+    handleMappingChange(event) {
+        const index = parseInt(event.target.dataset.index, 10);
+        const fieldName = event.detail.value;
+        const field = (this.createFields || []).find((f) => f.fieldName === fieldName);
+        const fieldLabel = field ? field.label || field.fieldName : '';
+        this.mappings = this.mappings.map((m) => (m.index === index ? { ...m, fieldName, fieldLabel } : m));
+    }
+
+    handleModeChange(event) {
+        this.mode = event.detail.value;
+    }
+
+    handleExternalIdFieldChange(event) {
+        this.externalIdField = (event.detail.value || '').trim();
+    }
+
+    handleExternalIdColumnChange(event) {
+        this.externalIdColumn = event.detail.value;
+    }
+
+    handlePreview() {
+        this.errorMessage = '';
+        if (this.mappedFields.length === 0 && !this.isUpsert) {
+            this.errorMessage = 'Map at least one column to a field.';
+            return;
+        }
+        const used = new Set();
+        for (const m of this.mappedFields) {
+            if (used.has(m.fieldName)) {
+                this.errorMessage = `${m.fieldLabel} is mapped to more than one column.`;
+                return;
+            }
+            used.add(m.fieldName);
+        }
+        if (this.isUpsert && (!/^[A-Za-z][A-Za-z0-9_]*$/.test(this.externalIdField) || this.externalIdColumn === '')) {
+            this.errorMessage = 'Enter the external ID field API name and choose the column that holds it.';
+            return;
+        }
+        this.validatedRows = this._dataRows.map((r) => this.validateRow(r.cells, r.line));
+        this.step = 'preview';
+    }
+
+    /** Builds the record for one CSV row and collects its validation errors. rowNumber is the line the row starts on. */
+    validateRow(cells, rowNumber) {
+        const values = {};
+        const record = {};
+        this.mappedFields.forEach((m) => {
+            const raw = cells[m.index] != null ? String(cells[m.index]).trim() : '';
+            values[m.fieldName] = raw;
+            if (raw !== '') record[m.fieldName] = this.convertValue(m.fieldName, raw);
+        });
+        const errors = [];
+        const ruleValues = {};
+        (this.createFields || []).forEach((f) => {
+            const message = validateFieldValue(f, values[f.fieldName]);
+            if (message) errors.push(message);
+            // Unmapped fields are not sent, so rules see them as blank
+            ruleValues[f.fieldName] = f.fieldName in values ? values[f.fieldName] : '';
+        });
+        const rules = (this.createFields || []).flatMap((f) => f.validationRules || []);
+        checkValidationRules(rules, ruleValues, null).forEach((err) => errors.push(err.message));
+        if (this.isUpsert) {
+            const key = cells[parseInt(this.externalIdColumn, 10)];
+            if (key == null || String(key).trim() === '') {
+                errors.push(`${this.externalIdField} is required to upsert.`);
+            } else {
+                record[this.externalIdField] = String(key).trim();
+            }
+        }
+        return { rowNumber, cells, values, record, errors };
+    }
+
+    convertValue(fieldName, raw) {
+        const field = (this.createFields || []).find((f) => f.fieldName === fieldName) || {};
+        const type = (field.type || 'text').toLowerCase();
+        if (['number', 'currency', 'percent'].includes(type)) {
+            const num = Number(raw.replace(/,/g, ''));
+            return Number.isNaN(num) ? raw : num;
+        }
+        if (type === 'checkbox') return TRUE_VALUES.includes(raw.toLowerCase());
+        return raw;
+    }
+
+    /**
+     * Imports the valid rows in batches of IMPORT_BATCH_SIZE, one call after the other. When a call fails outright
+     * (transport error, timeout), that batch and every later one are not sent and are reported as failed.
+     */
+    handleImport() {
+        const rows = this.validRows;
+        if (rows.length === 0) return Promise.resolve();
+        this.errorMessage = '';
+        this.isImporting = true;
+        this.processedCount = 0;
+        this.successCount = 0;
+        this.auditError = '';
+        const failures = this.validatedRows
+            .filter((r) => r.errors.length > 0)
+            .map((r) => ({ rowNumber: r.rowNumber, cells: r.cells, message: r.errors.join(' ') }));
+        const batchStarts = [];
+        for (let start = 0; start < rows.length; start += IMPORT_BATCH_SIZE) batchStarts.push(start);
+        return batchStarts
+            .reduce(
+                (previous, start) =>
+                    previous
+                        .then(() => this.importBatch(rows.slice(start, start + IMPORT_BATCH_SIZE), failures))
+                        .then(() => {
+                            this.processedCount = Math.min(start + IMPORT_BATCH_SIZE, rows.length);
+                        }),
+                Promise.resolve()
+            )
+            .catch((error) => {
+                const message = error.body?.message || error.message || 'Import failed.';
+                this.errorMessage = message;
+                rows.slice(this.processedCount).forEach((r) => failures.push({ rowNumber: r.rowNumber, cells: r.cells, message }));
+            })
+            .finally(() => {
+                this.failures = failures.sort((a, b) => a.rowNumber - b.rowNumber);
+                this.isImporting = false;
+                this.step = 'result';
+            });
+    }
+
+    /** Sends one batch and adds its rows that were not saved to failures. */
+    importBatch(batch, failures) {
+        return importRecords({
+            connectionKey: this.connectionKey || null,
+            objectType: this.objectApiName,
+            recordsJson: JSON.stringify(batch.map((r) => r.record)),
+            externalIdField: this.isUpsert ? this.externalIdField : null
+        }).then((response) => {
+            if (!response.success) {
+                batch.forEach((r) =>
+                    failures.push({ rowNumber: r.rowNumber, cells: r.cells, message: response.errorMessage || 'Import failed.' })
+                );
+                return;
+            }
+            if (response.auditError) this.auditError = response.auditError;
+            (response.results || []).forEach((result, i) => {
+                if (result.success) {
+                    this.successCount++;
+                } else if (batch[i]) {
+                    failures.push({ rowNumber: batch[i].rowNumber, cells: batch[i].cells, message: result.errorMessage });
+                }
+            });
+        });
+    }
+
+    handleDownloadErrors() {
+        const columns = [
+            { fieldName: 'rowNumber', label: 'Line' },
+            { fieldName: 'error', label: 'Error' },
+            ...this.headers.map((h, i) => ({ fieldName: `col${i}`, label: h || `Column ${i + 1}` }))
+        ];
+        const rows = this.failures.map((f) => {
+            const row = { rowNumber: f.rowNumber, error: f.message };
+            this.headers.forEach((h, i) => {
+                row[`col${i}`] = f.cells[i];
+            });
+            return row;
+        });
+        downloadCsv(`${this.objectApiName}_import_errors.csv`, toCsv(columns, rows));
+    }
+
+    handleBack() {
+        this.errorMessage = '';
+        this.step = this.isPreviewStep ? 'map' : 'upload';
+    }
+
+    handleCancel() {
+        this.close();
+    }
+
+    handleDone() {
+        this.close({ imported: this.successCount > 0 });
+    }
+}
@@ -0,0 +1,78 @@
+import LightningModal from 'lightning/modal';
+import { api, track } from 'lwc';
+
+/**
+ * Picks one edit-form field and a value to apply to every selected record.
+ * Closes with { fieldName, label, value } or undefined when cancelled.
+ */
+export default class CrossOrgMassUpdateModal extends LightningModal {
+    @api editFields = [];
+    @api selectedCount = 0;
+
+    @track fieldName = '';
+    @track value = '';
+    @track errorMessage = '';
+
+    get modalTitle() {
+        return `Update ${this.selectedCount} record${this.selectedCount === 1 ? '' : 's'}`;
+    }
+
+    get fieldOptions() {
+        return (this.editFields || [])
+            .filter((f) => f.isExternalLookup !== true)
+            .map((f) => ({ label: f.label || f.fieldName, value: f.fieldName }));
+    }
+
+    get selectedField() {
+        return (this.editFields || []).find((f) => f.fieldName === this.fieldName);
+    }
+
+    get isPicklist() {
+        const f = this.selectedField;
+        return !!f && (f.type || '').toLowerCase() === 'picklist' && Array.isArray(f.options) && f.options.length > 0;
+    }
+
+    get inputType() {
+        const rawType = ((this.selectedField && this.selectedField.type) || 'text').toLowerCase();
+        if (rawType === 'phone') return 'tel';
+        if (rawType === 'currency' || rawType === 'percent') return 'number';
+        if (['textarea', 'richtext', 'multipicklist'].includes(rawType)) return 'text';
+        return rawType;
+    }
+
+    get picklistOptions() {
+        return this.selectedField ? this.selectedField.options : [];
+    }
+
+    get hasField() {
+        return !!this.fieldName;
+    }
+
+    get applyDisabled() {
+        return !this.fieldName;
+    }
+
+    handleFieldSelect(event) {
+        this.fieldName = event.detail.value;
+        this.value = '';
+    }
+
+    handleValueChange(event) {
+        this.value = event.detail.value;
+    }
+
+    handleCancel() {
+        this.close();
+    }
+
+    handleApply() {
+        const input = this.template.querySelector('[data-id="value"]');
+        if (input && input.reportValidity && !input.reportValidity()) return;
+        const field = this.selectedField;
+        if (!field) {
+            this.errorMessage = 'Select a field to update.';
+            return;
+        }
+        this.close({ fieldName: field.fieldName, label: field.label || field.fieldName, value: this.value === '' ? null : this.value });
+    }
+}
@@ -0,0 +1,137 @@
+import LightningModal from 'lightning/modal';
+import { api, track } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getRecentlyDeleted from '@salesforce/apex/CrossOrgAuditLog.getRecentlyDeleted';
+import restoreRecord from '@salesforce/apex/CrossOrgRecordsController.restoreRecord';
+
+/** How many of the latest deletions are listed. */
+const RECENTLY_DELETED_LIMIT = 20;
+
+const DELETED_COLUMNS = [
+    { label: 'Record', fieldName: 'recordLabel', type: 'text' },
+    { label: 'Record Id', fieldName: 'recordId', type: 'text', initialWidth: 180 },
+    { label: 'Deleted by', fieldName: 'userName', type: 'text', initialWidth: 150 },
+    {
+        label: 'Deleted',
+        fieldName: 'deletedDate',
+        type: 'date',
+        initialWidth: 170,
+        typeAttributes: { year: 'numeric', month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit' }
+    },
+    {
+        type: 'button',
+        initialWidth: 120,
+        typeAttributes: {
+            label: { fieldName: 'actionLabel' },
+            name: 'restore',
+            variant: 'brand-outline',
+            disabled: { fieldName: 'isRestored' }
+        }
+    }
+];
+
+/**
+ * Latest single-record deletions of an object (CrossOrgAuditLog.getRecentlyDeleted) with a Restore button each.
+ * Closes with { restoredAuditLogIds } so the viewer can reload.
+ */
+export default class CrossOrgRecentlyDeletedModal extends LightningModal {
+    @api objectApiName = '';
+    @api connectionKey = '';
+    /** Snapshot field shown as the record label (the viewer's link column). */
+    @api labelField = 'Name';
+
+    @track deleted = [];
+    @track isLoading = false;
+    @track errorMessage = '';
+    columns = DELETED_COLUMNS;
+    _restoredAuditLogIds = [];
+
+    connectedCallback() {
+        this.loadDeleted();
+    }
+
+    loadDeleted() {
+        this.isLoading = true;
+        this.errorMessage = '';
+        getRecentlyDeleted({
+            connectionKey: this.connectionKey || null,
+            objectType: this.objectApiName,
+            maxResults: RECENTLY_DELETED_LIMIT
+        })
+            .then((deleted) => {
+                this.isLoading = false;
+                this.deleted = deleted || [];
+            })
+            .catch((error) => {
+                this.isLoading = false;
+                this.errorMessage = error.body?.message || error.message || 'Failed to load recently deleted records.';
+            });
+    }
+
+    get rows() {
+        return this.deleted.map((d) => ({
+            key: d.auditLogId,
+            auditLogId: d.auditLogId,
+            recordId: d.recordId,
+            recordLabel: (d.snapshot || {})[this.labelField] || d.recordId,
+            userName: d.userName,
+            deletedDate: d.deletedDate,
+            isRestored: !!d.restoredRecordId,
+            actionLabel: d.restoredRecordId ? 'Restored' : 'Restore'
+        }));
+    }
+
+    get isEmpty() {
+        return !this.isLoading && !this.errorMessage && this.deleted.length === 0;
+    }
+
+    get hasRows() {
+        return this.deleted.length > 0;
+    }
+
+    handleRowAction(event) {
+        if (event.detail.action.name !== 'restore') return;
+        const { auditLogId } = event.detail.row;
+        this.isLoading = true;
+        this.errorMessage = '';
+        restoreRecord({ connectionKey: this.connectionKey || null, auditLogId })
+            .then((response) => {
+                this.isLoading = false;
+                if (response.success) {
+                    this._restoredAuditLogIds = [...this._restoredAuditLogIds, auditLogId];
+                    this.deleted = this.deleted.map((d) =>
+                        (d.auditLogId === auditLogId ? { ...d, restoredRecordId: response.recordId } : d)
+                    );
+                    this.dispatchEvent(
+                        new ShowToastEvent({
+                            title: 'Restored',
+                            message: response.recreated
+                                ? 'The record was no longer in the recycle bin and was re-created with a new Id.'
+                                : 'Record restored in external org.',
+                            variant: 'success'
+                        })
+                    );
+                    if (response.auditError) {
+                        this.dispatchEvent(
+                            new ShowToastEvent({
+                                title: 'Not recorded in the audit log',
+                                message: response.auditError,
+                                variant: 'warning',
+                                mode: 'sticky'
+                            })
+                        );
+                    }
+                } else {
+                    this.errorMessage = response.errorMessage || 'Failed to restore.';
+                }
+            })
+            .catch((error) => {
+                this.isLoading = false;
+                this.errorMessage = error.body?.message || error.message || 'Failed to restore.';
+            });
+    }
+
+    handleClose() {
+        this.close({ restoredAuditLogIds: this._restoredAuditLogIds });
+    }
+}
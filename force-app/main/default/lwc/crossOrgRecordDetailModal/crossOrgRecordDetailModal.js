@@ -0,0 +1,134 @@
+import LightningModal from 'lightning/modal';
+import { api, track } from 'lwc';
+import getRecordDetail from '@salesforce/apex/CrossOrgRecordsController.getRecordDetail';
+
+/** Datatable types the related lists can show as-is; anything else (picklist, lookup) is shown as text. */
+const DATATABLE_TYPES = new Set(['text', 'number', 'currency', 'date', 'email', 'phone', 'url', 'boolean']);
+
+function formatValue(field) {
+    if (field.displayValue === null || field.displayValue === undefined || field.displayValue === '') return '—';
+    if ((field.type || '').toLowerCase() === 'boolean') return field.displayValue === 'true' ? 'Yes' : 'No';
+    return field.displayValue;
+}
+
+function toDatatableColumns(columns) {
+    return (columns || []).map((col) => {
+        if (col.isLink === true) {
+            return {
+                label: col.label,
+                fieldName: col.fieldName,
+                type: 'button',
+                typeAttributes: { label: { fieldName: col.fieldName }, variant: 'base', name: 'viewRecord' },
+                cellAttributes: { alignment: 'left' }
+            };
+        }
+        const colType = (col.type || 'text').toLowerCase();
+        return { label: col.label, fieldName: col.fieldName, type: DATATABLE_TYPES.has(colType) ? colType : 'text' };
+    });
+}
+
+/**
+ * Read-only record view (CrossOrgRecordsController.getRecordDetail): configured fields plus Related_List__mdt
+ * lists. A related row opens its own detail in place; Back returns to the previous record. Closes with
+ * { edit: true } when the user asks to edit the record it was opened for.
+ */
+export default class CrossOrgRecordDetailModal extends LightningModal {
+    @api connectionKey = '';
+    @api objectApiName = '';
+    @api recordId = '';
+    /** Show Edit for the record the modal was opened for. */
+    @api canEdit = false;
+
+    @track detail = null;
+    @track isLoading = false;
+    @track errorMessage = '';
+    /** Records navigated through: [{ objectApiName, recordId }], the last one is shown. */
+    @track history = [];
+
+    connectedCallback() {
+        this.history = [{ objectApiName: this.objectApiName, recordId: this.recordId }];
+        this.loadDetail();
+    }
+
+    get current() {
+        return this.history[this.history.length - 1];
+    }
+
+    loadDetail() {
+        const { objectApiName, recordId } = this.current;
+        this.isLoading = true;
+        this.errorMessage = '';
+        this.detail = null;
+        getRecordDetail({ connectionKey: this.connectionKey || null, objectType: objectApiName, recordId })
+            .then((response) => {
+                this.isLoading = false;
+                if (response.success) {
+                    this.detail = response;
+                } else {
+                    this.errorMessage = response.errorMessage || 'Failed to load record.';
+                }
+            })
+            .catch((error) => {
+                this.isLoading = false;
+                this.errorMessage = error.body?.message || error.message || 'Failed to load record.';
+            });
+    }
+
+    get modalTitle() {
+        const { objectApiName } = this.current;
+        const record = this.detail?.record || {};
+        const firstField = (this.detail?.fields || [])[0];
+        const name = record.Name || (firstField ? firstField.displayValue : '');
+        return name ? `${objectApiName}: ${name}` : objectApiName;
+    }
+
+    get fieldRows() {
+        return (this.detail?.fields || []).map((f) => ({ key: f.fieldName, label: f.label, value: formatValue(f) }));
+    }
+
+    get relatedLists() {
+        return (this.detail?.relatedLists || []).map((list) => ({
+            key: list.key,
+            childObjectApiName: list.childObjectApiName,
+            title: `${list.label} (${list.records.length}${list.hasMore ? '+' : ''})`,
+            columns: toDatatableColumns(list.columns),
+            records: list.records || [],
+            hasRecords: (list.records || []).length > 0,
+            errorMessage: list.errorMessage
+        }));
+    }
+
+    get hasRelatedLists() {
+        return (this.detail?.relatedLists || []).length > 0;
+    }
+
+    get showBack() {
+        return this.history.length > 1;
+    }
+
+    get showEdit() {
+        return this.canEdit && this.history.length === 1 && !!this.detail;
+    }
+
+    handleRelatedRowAction(event) {
+        if (event.detail.action.name !== 'viewRecord') return;
+        const childObjectApiName = event.target.dataset.object;
+        const recordId = event.detail.row.Id;
+        if (!childObjectApiName || !recordId) return;
+        this.history = [...this.history, { objectApiName: childObjectApiName, recordId }];
+        this.loadDetail();
+    }
+
+    handleBack() {
+        this.history = this.history.slice(0, -1);
+        this.loadDetail();
+    }
+
+    handleEdit() {
+        this.close({ edit: true });
+    }
+
+    handleClose() {
+        this.close();
+    }
+}
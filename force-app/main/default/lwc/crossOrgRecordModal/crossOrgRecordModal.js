@@ -2,37 +2,140 @@ import LightningModal from 'lightning/modal';
 import { api, track } from 'lwc';
 import updateRecord from '@salesforce/apex/CrossOrgRecordsController.updateRecord';
 import createRecord from '@salesforce/apex/CrossOrgRecordsController.createRecord';
+import updateRecords from '@salesforce/apex/CrossOrgRecordsController.updateRecords';
 import searchExternalRecords from '@salesforce/apex/CrossOrgRecordsController.searchExternalRecords';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { validateFieldValue, checkValidationRules } from 'c/crossOrgValidation';
+import USER_TIME_ZONE from '@salesforce/i18n/timeZone';
 
 const EXTERNAL_LOOKUP_SEARCH_DEBOUNCE_MS = 350;
 const EXTERNAL_LOOKUP_MAX_RESULTS = 50;
+const NUMBER_TYPES = ['number', 'currency', 'percent'];
+/** Types sent as '' when cleared; every other type is cleared with null. */
+const TEXT_TYPES = ['text', 'email', 'phone', 'url', 'textarea', 'richtext', 'picklist'];
+const NUMBER_FORMATTERS = { currency: 'currency', percent: 'percent-fixed' };
+
+function plainValue(val) {
+    if (val != null && typeof val === 'object' && 'value' in val) return val.value;
+    return val;
+}
 
-const EMAIL_REGEX = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
-
-function isValidEmail(s) {
-    if (s == null || String(s).trim() === '') return true;
-    return EMAIL_REGEX.test(String(s).trim());
+/** Config type of a field definition (see CrossOrgRecordsController.normalizeFieldType). */
+function fieldTypeOf(fieldDef) {
+    return ((fieldDef && fieldDef.type) || 'text').toLowerCase();
 }
 
-function isValidPhone(s) {
-    if (s == null || String(s).trim() === '') return true;
-    const digitsOnly = String(s).replace(/\D/g, '');
-    return digitsOnly.length >= 10;
+function isBlankValue(val) {
+    const plain = plainValue(val);
+    return plain == null || String(plain).trim() === '';
 }
 
-/** Lookup object: from server when set, else derived from Object API Name.Field API Name or just Field API Name. */
-/** Normalize value for change detection (trim, empty string vs null, date to YYYY-MM-DD). */
-function normalizedValue(val) {
-    if (val == null) return '';
-    if (typeof val === 'object' && val.hasOwnProperty?.('value')) return normalizedValue(val.value);
-    const s = String(val).trim();
-    if (!s) return '';
+function toDateString(s) {
+    if (/^\d{4}-\d{2}-\d{2}/.test(s)) return s.slice(0, 10);
     const d = new Date(s);
-    if (!isNaN(d.getTime())) return d.toISOString().slice(0, 10);
+    return isNaN(d.getTime()) ? s : d.toISOString().slice(0, 10);
+}
+
+/** The REST API returns datetimes as 2024-05-01T10:00:00.000+0000; the offset needs a colon for Date to parse it everywhere. */
+function parseDatetime(s) {
+    const d = new Date(String(s).replace(/([+-]\d{2})(\d{2})$/, '$1:$2'));
+    return isNaN(d.getTime()) ? null : d;
+}
+
+function splitMultiSelect(s) {
+    return String(s)
+        .split(';')
+        .map((v) => v.trim())
+        .filter((v) => v);
+}
+
+function toNumber(s) {
+    const n = Number(String(s).replace(/,/g, ''));
+    return isNaN(n) ? null : n;
+}
+
+/**
+ * Normalize value for change detection by field type: checkboxes as true/false, dates as YYYY-MM-DD, datetimes as
+ * the instant, numbers numerically, multi-select values in sorted order, everything else trimmed.
+ */
+function normalizedValue(val, type) {
+    const plain = plainValue(val);
+    if (type === 'checkbox') return plain === true || plain === 'true' ? 'true' : 'false';
+    if (isBlankValue(plain)) return '';
+    const s = String(plain).trim();
+    if (type === 'date') return toDateString(s);
+    if (type === 'datetime') {
+        const d = parseDatetime(s);
+        return d ? String(d.getTime()) : s;
+    }
+    if (NUMBER_TYPES.includes(type)) {
+        const n = toNumber(s);
+        return n === null ? s : String(n);
+    }
+    if (type === 'multipicklist') return splitMultiSelect(s).sort().join(';');
     return s;
 }
 
+/**
+ * Value as the external REST API expects it: booleans for checkboxes, numbers, YYYY-MM-DD dates, ISO 8601 UTC
+ * datetimes and ;-separated multi-select values. Cleared text is sent as '', other cleared types as null.
+ */
+function serializedValue(val, type) {
+    const plain = plainValue(val);
+    if (type === 'checkbox') return plain === true || plain === 'true';
+    if (isBlankValue(plain)) return TEXT_TYPES.includes(type) ? '' : null;
+    const s = String(plain).trim();
+    if (NUMBER_TYPES.includes(type)) {
+        const n = toNumber(s);
+        return n === null ? s : n;
+    }
+    if (type === 'date') return toDateString(s);
+    if (type === 'datetime') {
+        const d = parseDatetime(s);
+        return d ? d.toISOString() : s;
+    }
+    if (type === 'multipicklist') return splitMultiSelect(s).join(';');
+    return plain;
+}
+
+function displayValue(val, type) {
+    const plain = plainValue(val);
+    if (type === 'checkbox') return plain === true || plain === 'true' ? 'Yes' : 'No';
+    if (isBlankValue(plain)) return '—';
+    if (type === 'datetime') {
+        const d = parseDatetime(plain);
+        if (d) return d.toLocaleString(undefined, { timeZone: USER_TIME_ZONE });
+    }
+    if (type === 'multipicklist') return splitMultiSelect(plain).join(', ');
+    return String(plain);
+}
+
+/** Input step for the field's decimal places; any precision when the describe did not say. */
+function numberStep(scale) {
+    if (scale == null) return 'any';
+    return scale > 0 ? (1 / 10 ** scale).toFixed(scale) : '1';
+}
+
+/**
+ * Picklist options valid for the current form: narrowed by the controlling field's value (validFor) and by the
+ * record's record type (recordTypes). Options without an entry in either map are always available.
+ */
+function availablePicklistOptions(fieldDef, recordData, recordTypeName) {
+    const controllingField = fieldDef.controllingField;
+    const controllingValue = controllingField ? plainValue(recordData[controllingField]) : null;
+    const validFor = fieldDef.validFor || {};
+    const recordTypes = fieldDef.recordTypes || {};
+    return (fieldDef.options || []).filter((opt) => {
+        const types = recordTypes[opt.value];
+        if (types && recordTypeName && !types.includes(recordTypeName)) return false;
+        const controllingValues = validFor[opt.value];
+        if (controllingField && controllingValues) {
+            return controllingValue != null && controllingValue !== '' && controllingValues.includes(String(controllingValue));
+        }
+        return true;
+    });
+}
+
 function getLookupObjectForField(fieldDef) {
     if (!fieldDef) return '';
     const fromServer =
@@ -53,19 +156,37 @@ function getLookupObjectForField(fieldDef) {
 export default class CrossOrgRecordModal extends LightningModal {
     @api record = {};
     @api objectApiName = '';
+    @api connectionKey = '';
     @api editFields = [];
     @api lookupLabels = {};
+    /** Record type DeveloperName of the edited record; narrows picklists with record type specific options. */
+    @api recordTypeName = '';
+    /** Mass edit: when set, filled-in fields are applied to all of these records instead of one. */
+    @api bulkRecordIds = [];
 
     @track recordData = {};
     @track saveLoading = false;
     @track errorMessage = '';
+    /** Record-level errors from the external org (those not tied to a field on the form), listed under errorMessage. */
+    @track errorSummary = [];
     @track externalLookupOptionsMap = {};
     @track externalLookupSearchTerm = {};
     @track externalLookupDisplayMap = {};
     @track externalLookupDropdownOpen = {};
+    /** Polymorphic lookups: the object chosen to search in, per field (defaults to the first reference target). */
+    @track externalLookupTargetMap = {};
     _externalSearchTimeouts = {};
     /** Snapshot of initial record values for edit mode (used to detect changed fields only). */
     _initialRecordValues = {};
+    /** SystemModstamp the form is based on; updateRecord refuses the save if the record changed since. */
+    _expectedModstamp = null;
+    /** Fields currently flagged with an error message from the external org. */
+    _serverErrorFields = [];
+    /** Set when updateRecord reports a conflict: { serverValues, systemModstamp }. */
+    @track conflict = null;
+    @track conflictRows = [];
+    /** Edit mode: shows the audit timeline of the record instead of the form. */
+    @track showHistory = false;
 
     connectedCallback() {
         this.recordData = this.record && typeof this.record === 'object' ? { ...this.record } : {};
@@ -77,6 +198,7 @@ export default class CrossOrgRecordModal extends LightningModal {
         // Store initial values so we can send only changed fields on update
         if (this.record && typeof this.record === 'object') {
             this._initialRecordValues = { ...this.record };
+            this._expectedModstamp = this.record.SystemModstamp || null;
         }
     }
 
@@ -84,7 +206,38 @@ export default class CrossOrgRecordModal extends LightningModal {
         return !!(this.record && this.record.Id);
     }
 
+    get isConflictView() {
+        return this.conflict !== null;
+    }
+
+    get isHistoryView() {
+        return this.showHistory && !this.isConflictView;
+    }
+
+    get isFormView() {
+        return !this.isConflictView && !this.showHistory;
+    }
+
+    get historyButtonLabel() {
+        return this.showHistory ? 'Back to form' : 'History';
+    }
+
+    get showHistoryButton() {
+        return this.isEditMode && !this.isConflictView;
+    }
+
+    get hasErrorSummary() {
+        return this.errorSummary.length > 0;
+    }
+
+    get isBulkMode() {
+        return Array.isArray(this.bulkRecordIds) && this.bulkRecordIds.length > 0;
+    }
+
     get modalTitle() {
+        if (this.isBulkMode) {
+            return `Edit ${this.bulkRecordIds.length} ${this.objectApiName || 'Record'} records`;
+        }
         if (this.isEditMode) {
             const name = this.recordData?.Name || this.record?.Name || 'Record';
             return `${name}`;
@@ -96,49 +249,106 @@ export default class CrossOrgRecordModal extends LightningModal {
         const fields = this.editFields || [];
         return fields.map((f) => {
             const fieldName = f.fieldName || f.FieldName || '';
-            let val = this.recordData[fieldName];
-            if (val != null && typeof val === 'object' && val.hasOwnProperty?.('value')) {
-                val = val.value;
+            const rawType = fieldTypeOf(f);
+            let val = plainValue(this.recordData[fieldName]);
+            if (rawType === 'date' && !isBlankValue(val)) val = toDateString(String(val));
+            if (rawType === 'datetime' && !isBlankValue(val)) {
+                const d = parseDatetime(val);
+                if (d) val = d.toISOString();
             }
-            if (f.type === 'date' && val) {
-                try {
-                    const d = new Date(val);
-                    if (!isNaN(d.getTime())) val = d.toISOString().slice(0, 10);
-                } catch (e) {}
+            const hasOptions = Array.isArray(f.options) && f.options.length > 0;
+            const isPicklist = rawType === 'picklist' && hasOptions;
+            const isMultiPicklist = rawType === 'multipicklist' && hasOptions;
+            const multiValue = isMultiPicklist && !isBlankValue(val) ? splitMultiSelect(val) : [];
+            let options = f.options;
+            let picklistDisabled = false;
+            let picklistPlaceholder = 'Select an Option';
+            if (isPicklist || isMultiPicklist) {
+                options = availablePicklistOptions(f, this.recordData, this.recordTypeName);
+                // Keep saved values visible even when they are no longer offered; they are only cleared on change
+                const savedValues = isMultiPicklist ? multiValue : (isBlankValue(val) ? [] : [String(val)]);
+                savedValues
+                    .filter((v) => !options.some((opt) => opt.value === v))
+                    .forEach((v) => {
+                        const saved = f.options.find((opt) => opt.value === v);
+                        options = [...options, saved || { label: v, value: v }];
+                    });
+                const controllingValue = f.controllingField ? plainValue(this.recordData[f.controllingField]) : null;
+                if (f.controllingField && (controllingValue == null || controllingValue === '') && f.validFor) {
+                    const controllingDef = (this.editFields || []).find((cf) => (cf.fieldName || cf.FieldName) === f.controllingField);
+                    picklistDisabled = true;
+                    picklistPlaceholder = `Select ${controllingDef?.label || f.controllingField} first`;
+                }
             }
-            const isPicklist = (f.type || '').toLowerCase() === 'picklist' && f.options && f.options.length > 0;
             const isExternalLookup = f.isExternalLookup === true || f.IsExternalLookup === true;
-            const rawType = (f.type || 'text').toLowerCase();
-            const inputType = rawType === 'phone' ? 'tel' : (rawType === 'email' ? 'email' : rawType);
-            const required = f.required === true;
+            const isCheckbox = rawType === 'checkbox';
+            const isNumber = NUMBER_TYPES.includes(rawType);
+            const isTextarea = rawType === 'textarea';
+            const isRichText = rawType === 'richtext';
+            const isDatetime = rawType === 'datetime';
+            let inputType = 'text';
+            if (rawType === 'phone') inputType = 'tel';
+            else if (['email', 'url', 'date'].includes(rawType)) inputType = rawType;
+            // Mass edit only sets the fields filled in, so nothing is required there
+            const required = f.required === true && !this.isBulkMode;
             const externalOptions = this.externalLookupOptionsMap[fieldName] || [];
             const hasSelection = val != null && val !== '';
             const displayVal = hasSelection && this.externalLookupDisplayMap[fieldName]
                 ? this.externalLookupDisplayMap[fieldName]
                 : (this.externalLookupSearchTerm[fieldName] || '');
             const dropdownOpen = this.externalLookupDropdownOpen[fieldName] === true;
-            const lookupObj = getLookupObjectForField(f);
+            const lookupObj = this.externalLookupTargetMap[fieldName] || getLookupObjectForField(f);
             const externalLookupPlaceholder = lookupObj ? `Type to search ${lookupObj} by name...` : 'Type to search by name...';
-            return { ...f, fieldName, value: val == null ? '' : String(val), isPicklist, isExternalLookup, inputType, required, externalOptions, externalLookupInputValue: displayVal, externalLookupDropdownOpen: dropdownOpen, externalLookupHasSelection: hasSelection, externalLookupPlaceholder };
+            const referenceTo = Array.isArray(f.referenceTo) ? f.referenceTo : [];
+            const hasLookupTargets = isExternalLookup && referenceTo.length > 1;
+            const lookupTargetOptions = hasLookupTargets ? referenceTo.map((obj) => ({ label: obj, value: obj })) : [];
+            return { ...f, fieldName, type: rawType, value: val == null ? '' : String(val), checked: val === true || val === 'true', multiValue, isPicklist, isMultiPicklist, options, picklistDisabled, picklistPlaceholder, isExternalLookup, isCheckbox, isNumber, isTextarea, isRichText, isDatetime, inputType, formatter: NUMBER_FORMATTERS[rawType], step: numberStep(f.scale), timeZone: USER_TIME_ZONE, timeZoneHelp: `Time zone: ${USER_TIME_ZONE}`, required, externalOptions, externalLookupInputValue: displayVal, externalLookupDropdownOpen: dropdownOpen, externalLookupHasSelection: hasSelection, externalLookupPlaceholder, hasLookupTargets, lookupTarget: lookupObj, lookupTargetOptions, lookupTargetLabel: `${f.label || fieldName} type` };
         });
     }
 
-    get fieldsLeft() {
+    /** The form's two columns: the first half of the fields on the left, the rest on the right. */
+    get formColumns() {
         const all = this.fieldsWithValues;
         const mid = Math.ceil(all.length / 2);
-        return all.slice(0, mid);
-    }
-
-    get fieldsRight() {
-        const all = this.fieldsWithValues;
-        const mid = Math.ceil(all.length / 2);
-        return all.slice(mid);
+        return [
+            { key: 'left', fields: all.slice(0, mid) },
+            { key: 'right', fields: all.slice(mid) }
+        ];
     }
 
     handleFieldChange(event) {
         const fieldName = event.target.dataset.field;
-        const value = event.detail.value;
+        const type = event.target.dataset.type;
+        let value = event.detail.value;
+        if (type === 'checkbox') value = event.target.checked;
+        else if (type === 'multipicklist') value = (event.detail.value || []).join(';');
+        else if (type === 'richtext') value = event.target.value;
         this.recordData = { ...this.recordData, [fieldName]: value };
+        this.clearInvalidDependents(fieldName);
+        if (this._serverErrorFields.includes(fieldName)) {
+            event.target.setCustomValidity('');
+            event.target.reportValidity();
+            this._serverErrorFields = this._serverErrorFields.filter((fn) => fn !== fieldName);
+        }
+    }
+
+    /** Clears dependent picklists whose value is not valid for the new controlling value (and their dependents in turn). */
+    clearInvalidDependents(controllingField) {
+        (this.editFields || [])
+            .filter((f) => f.controllingField === controllingField)
+            .forEach((f) => {
+                const fieldName = f.fieldName || f.FieldName || '';
+                const val = plainValue(this.recordData[fieldName]);
+                if (val == null || val === '') return;
+                const options = availablePicklistOptions(f, this.recordData, this.recordTypeName);
+                if (options.some((opt) => opt.value === String(val))) return;
+                this.recordData = { ...this.recordData, [fieldName]: '' };
+                this.clearInvalidDependents(fieldName);
+            });
+    }
+
+    handleToggleHistory() {
+        this.showHistory = !this.showHistory;
     }
 
     handleExternalLookupInput(event) {
@@ -153,12 +363,12 @@ export default class CrossOrgRecordModal extends LightningModal {
             const fieldDef = (this.editFields || []).find(
                 (f) => (f.fieldName || f.FieldName) === fieldName
             );
-            const objectApiName = getLookupObjectForField(fieldDef);
+            const objectApiName = this.externalLookupTargetMap[fieldName] || getLookupObjectForField(fieldDef);
             if (!objectApiName) {
                 this.externalLookupOptionsMap = { ...this.externalLookupOptionsMap, [fieldName]: [] };
                 return;
             }
-            searchExternalRecords({ objectApiName, searchTerm, maxResults: EXTERNAL_LOOKUP_MAX_RESULTS })
+            searchExternalRecords({ connectionKey: this.connectionKey || null, objectApiName, searchTerm, maxResults: EXTERNAL_LOOKUP_MAX_RESULTS })
                 .then((options) => {
                     this.externalLookupOptionsMap = { ...this.externalLookupOptionsMap, [fieldName]: options || [] };
                 })
@@ -199,12 +409,22 @@ export default class CrossOrgRecordModal extends LightningModal {
         this.externalLookupOptionsMap = { ...this.externalLookupOptionsMap, [fieldName]: [] };
     }
 
+    handleExternalLookupTargetChange(event) {
+        const fieldName = event.target.dataset.lookupTarget;
+        this.externalLookupTargetMap = { ...this.externalLookupTargetMap, [fieldName]: event.detail.value };
+        this.externalLookupSearchTerm = { ...this.externalLookupSearchTerm, [fieldName]: '' };
+        this.externalLookupOptionsMap = { ...this.externalLookupOptionsMap, [fieldName]: [] };
+        this.externalLookupDropdownOpen = { ...this.externalLookupDropdownOpen, [fieldName]: false };
+    }
+
     handleCancel() {
         this.close();
     }
 
     handleSave() {
         this.errorMessage = '';
+        this.errorSummary = [];
+        this.clearServerErrors();
 
         if (!this.objectApiName || String(this.objectApiName).trim() === '') {
             this.errorMessage = 'Object type is required.';
@@ -229,12 +449,21 @@ export default class CrossOrgRecordModal extends LightningModal {
         inputs.forEach((input) => {
             if (input.reportValidity && !input.reportValidity()) allValid = false;
         });
-        const comboboxes = this.template.querySelectorAll('lightning-combobox');
-        comboboxes.forEach((cb) => {
+        const otherInputs = this.template.querySelectorAll('lightning-combobox, lightning-textarea, lightning-dual-listbox');
+        otherInputs.forEach((cb) => {
             if (cb.reportValidity && !cb.reportValidity()) allValid = false;
         });
+        // lightning-input-rich-text has no required check of its own
+        const emptyRichText = (this.editFields || []).find(
+            (f) => fieldTypeOf(f) === 'richtext' && f.required && !this.isBulkMode
+                && isBlankValue(String(plainValue(this.recordData[f.fieldName || f.FieldName]) || '').replace(/<[^>]*>/g, ''))
+        );
+        if (emptyRichText) {
+            this.errorMessage = `${emptyRichText.label || emptyRichText.fieldName} is required.`;
+            allValid = false;
+        }
         const externalRequired = (this.editFields || []).filter(
-            (f) => (f.isExternalLookup === true || f.IsExternalLookup === true) && f.required
+            (f) => (f.isExternalLookup === true || f.IsExternalLookup === true) && f.required && !this.isBulkMode
         );
         externalRequired.forEach((f) => {
             const fn = f.fieldName || f.FieldName || '';
@@ -247,69 +476,89 @@ export default class CrossOrgRecordModal extends LightningModal {
             }
         });
 
-        const editFieldsList = this.editFields || [];
-        for (const f of editFieldsList) {
-            const fn = f.fieldName || f.FieldName || '';
-            const rawType = (f.type || 'text').toLowerCase();
-            const val = this.recordData[fn];
-            if (val == null || String(val).trim() === '') continue;
-            const strVal = String(val).trim();
-            if (rawType === 'email' && !isValidEmail(strVal)) {
-                const label = f.label || fn;
-                this.errorMessage = `Invalid email format for ${label}.`;
-                allValid = false;
-                break;
-            }
-            if (rawType === 'phone' && !isValidPhone(strVal)) {
-                const label = f.label || fn;
-                this.errorMessage = `Invalid phone format for ${label}.`;
-                allValid = false;
-                break;
-            }
-        }
-
         if (!allValid) {
             this.errorMessage = this.errorMessage || 'Please fix validation errors before saving.';
             return;
         }
 
+        const editFieldsList = this.editFields || [];
         const payload = {};
         editFieldsList.forEach((f) => {
             const fn = f.fieldName || f.FieldName || '';
+            const type = fieldTypeOf(f);
             const currentVal = this.recordData[fn];
             if (this.isEditMode) {
                 const initialVal = this._initialRecordValues[fn];
-                if (normalizedValue(currentVal) !== normalizedValue(initialVal)) {
-                    payload[fn] = currentVal !== undefined && currentVal !== null ? currentVal : '';
-                }
-            } else {
-                if (currentVal !== undefined && currentVal !== null && currentVal !== '') {
-                    payload[fn] = currentVal;
+                if (normalizedValue(currentVal, type) !== normalizedValue(initialVal, type)) {
+                    payload[fn] = serializedValue(currentVal, type);
                 }
+            } else if (type === 'checkbox' ? currentVal !== undefined : !isBlankValue(currentVal)) {
+                // Untouched checkboxes keep the external org's default
+                payload[fn] = serializedValue(currentVal, type);
             }
         });
 
-        if (this.isEditMode && Object.keys(payload).length === 0) {
-            this.errorMessage = 'No fields were changed.';
+        if ((this.isEditMode || this.isBulkMode) && Object.keys(payload).length === 0) {
+            this.errorMessage = this.isBulkMode ? 'Fill in at least one field to apply.' : 'No fields were changed.';
+            return;
+        }
+
+        const fieldErrors = this.validationErrors(payload);
+        if (fieldErrors.length > 0) {
+            this.showServerErrors(fieldErrors.map((err) => ({ message: err.message, fields: [err.fieldName] })), '');
+            this.errorMessage = 'Please fix validation errors before saving.';
             return;
         }
 
         this.saveLoading = true;
         this.errorMessage = '';
 
-        if (this.isEditMode) {
+        if (this.isBulkMode) {
+            updateRecords({
+                connectionKey: this.connectionKey || null,
+                objectType: this.objectApiName,
+                recordsJson: JSON.stringify(this.bulkRecordIds.map((id) => ({ ...payload, Id: id })))
+            })
+                .then((response) => {
+                    this.saveLoading = false;
+                    if (response.success) {
+                        this.close({ saved: true, bulkResult: response });
+                    } else {
+                        this.errorMessage = response.errorMessage || 'Failed to update records.';
+                    }
+                })
+                .catch((error) => {
+                    this.saveLoading = false;
+                    this.errorMessage = error.body?.message || error.message || 'Failed to update records.';
+                });
+        } else if (this.isEditMode) {
+            const originalValues = {};
+            Object.keys(payload).forEach((fn) => {
+                originalValues[fn] = this._initialRecordValues[fn] ?? null;
+            });
             updateRecord({
+                connectionKey: this.connectionKey || null,
                 objectType: this.objectApiName,
                 recordId: this.record.Id,
-                recordDataJson: JSON.stringify(payload)
+                recordDataJson: JSON.stringify(payload),
+                expectedModstamp: this._expectedModstamp,
+                originalValuesJson: JSON.stringify(originalValues)
             })
-                .then((response) => this.handleSaveResponse(response, 'Saved', 'Record updated in external org.', 'Failed to save.'))
+                .then((response) => {
+                    if (response.isConflict) {
+                        this.saveLoading = false;
+                        this.showConflict(response);
+                        return;
+                    }
+                    this.handleSaveResponse(response, 'Saved', 'Record updated in external org.', 'Failed to save.');
+                })
                 .catch((error) => {
                     this.saveLoading = false;
                     this.errorMessage = error.body?.message || error.message || 'Failed to save.';
                 });
         } else {
             createRecord({
+                connectionKey: this.connectionKey || null,
                 objectType: this.objectApiName,
                 recordDataJson: JSON.stringify(payload)
             })
@@ -325,9 +574,179 @@ export default class CrossOrgRecordModal extends LightningModal {
         this.saveLoading = false;
         if (response.success) {
             this.dispatchEvent(new ShowToastEvent({ title, message: successMessage, variant: 'success' }));
+            if (response.auditError) {
+                this.dispatchEvent(
+                    new ShowToastEvent({ title: 'Not recorded in the audit log', message: response.auditError, variant: 'warning', mode: 'sticky' })
+                );
+            }
             this.close({ saved: true });
         } else {
-            this.errorMessage = response.errorMessage || failMessage;
+            this.showServerErrors(response.errors || [], response.errorMessage || failMessage);
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * Email and phone formats of the values being saved, then the fields' Validation_Rule__mdt rules. Edits only
+     * check rules that read a changed field; mass edit only knows the fields filled in, so rules reading other
+     * fields are left to the server, which checks every rule again.
+     */
+    validationErrors(payload) {
+        const fields = this.editFields || [];
+        const errors = [];
+        let values = payload;
+        if (!this.isBulkMode) {
+            values = {};
+            fields.forEach((f) => {
+                const fn = f.fieldName || f.FieldName || '';
+                values[fn] = serializedValue(this.recordData[fn], fieldTypeOf(f));
+            });
+        }
+        fields.forEach((f) => {
+            const fn = f.fieldName || f.FieldName || '';
+            if (!(fn in payload) || !['email', 'phone'].includes(fieldTypeOf(f))) return;
+            const message = validateFieldValue({ ...f, required: false }, payload[fn]);
+            if (message) errors.push({ fieldName: fn, message });
+        });
+        const rules = fields.flatMap((f) => f.validationRules || []);
+        const changedFields = this.isEditMode || this.isBulkMode ? Object.keys(payload) : null;
+        return errors.concat(checkValidationRules(rules, values, changedFields));
+    }
+
+    fieldInput(fieldName) {
+        return this.template.querySelector(
+            `lightning-input[data-field="${fieldName}"], lightning-combobox[data-field="${fieldName}"], `
+                + `lightning-textarea[data-field="${fieldName}"], lightning-dual-listbox[data-field="${fieldName}"]`
+        );
+    }
+
+    /**
+     * Puts each external org error on the input of the field it names (setCustomValidity); errors without a field
+     * on the form are listed in the summary under the banner.
+     */
+    showServerErrors(errors, fallbackMessage) {
+        const fieldMessages = {};
+        const summary = [];
+        errors.forEach((err, index) => {
+            const text = err.errorCode && err.message ? `${err.message} (${err.errorCode})` : err.message || err.errorCode;
+            const fields = (err.fields || []).filter((fn) => this.fieldInput(fn));
+            if (fields.length === 0) {
+                summary.push({ key: `err-${index}`, text });
+                return;
+            }
+            fields.forEach((fn) => {
+                fieldMessages[fn] = fieldMessages[fn] ? `${fieldMessages[fn]} ${err.message}` : err.message;
+            });
+        });
+        Object.keys(fieldMessages).forEach((fn) => {
+            const input = this.fieldInput(fn);
+            input.setCustomValidity(fieldMessages[fn]);
+            input.reportValidity();
+        });
+        this._serverErrorFields = Object.keys(fieldMessages);
+        this.errorSummary = summary;
+        if (summary.length > 0) {
+            this.errorMessage = 'The external org rejected the save:';
+        } else if (this._serverErrorFields.length > 0) {
+            this.errorMessage = 'The external org rejected some values. Fix the highlighted fields and save again.';
+        } else {
+            this.errorMessage = fallbackMessage;
+        }
+    }
+
+    clearServerErrors() {
+        this._serverErrorFields.forEach((fn) => {
+            const input = this.fieldInput(fn);
+            if (input) {
+                input.setCustomValidity('');
+                input.reportValidity();
+            }
+        });
+        this._serverErrorFields = [];
+    }
+
+    /**
+     * Three-way comparison per edit field: the values the form was opened with, the user's values and the
+     * record as it is now in the external org. Fields changed on both sides with different results need a choice.
+     */
+    showConflict(response) {
+        const serverValues = response.serverValues || {};
+        this.conflict = { serverValues, systemModstamp: response.systemModstamp };
+        this.conflictRows = (this.editFields || [])
+            .map((f) => {
+                const fieldName = f.fieldName || f.FieldName || '';
+                const type = fieldTypeOf(f);
+                const original = this._initialRecordValues[fieldName];
+                const mine = this.recordData[fieldName];
+                const server = serverValues[fieldName];
+                const mineChanged = normalizedValue(mine, type) !== normalizedValue(original, type);
+                const theirsChanged = normalizedValue(server, type) !== normalizedValue(original, type);
+                const isConflict = mineChanged && theirsChanged && normalizedValue(mine, type) !== normalizedValue(server, type);
+                let status = 'Changed in external org';
+                if (isConflict) status = 'Changed by you and in external org';
+                else if (mineChanged && !theirsChanged) status = 'Changed by you';
+                return {
+                    fieldName,
+                    label: f.label || fieldName,
+                    originalDisplay: displayValue(original, type),
+                    mineDisplay: displayValue(mine, type),
+                    serverDisplay: displayValue(server, type),
+                    mineChanged,
+                    theirsChanged,
+                    isConflict,
+                    status,
+                    choice: 'theirs',
+                    choiceOptions: [
+                        { label: 'Keep yours', value: 'mine' },
+                        { label: 'Keep external org', value: 'theirs' }
+                    ],
+                    resolution: mineChanged && !theirsChanged ? 'Yours' : 'External org',
+                    rowClass: isConflict ? 'conflict-row' : ''
+                };
+            })
+            .filter((row) => row.mineChanged || row.theirsChanged);
+        this.errorMessage = '';
+    }
+
+    handleConflictChoice(event) {
+        const fieldName = event.target.dataset.field;
+        const choice = event.detail.value;
+        this.conflictRows = this.conflictRows.map((row) => (row.fieldName === fieldName ? { ...row, choice } : row));
+    }
+
+    handleConflictMerge() {
+        this.resolveConflict(false);
+    }
+
+    handleConflictOverwrite() {
+        this.resolveConflict(true);
+    }
+
+    /**
+     * Rebases the form on the current server record: fields only changed in the external org take the server value,
+     * fields only changed here keep ours, and conflicting fields follow the row choice (or ours when overwriting).
+     * The regular save then sends just the fields that still differ from the server.
+     */
+    resolveConflict(overwrite) {
+        const { serverValues, systemModstamp } = this.conflict;
+        const merged = { ...this.recordData };
+        this.conflictRows.forEach((row) => {
+            const keepMine = row.isConflict ? overwrite || row.choice === 'mine' : row.mineChanged;
+            if (!keepMine) merged[row.fieldName] = serverValues[row.fieldName];
+        });
+        this.recordData = merged;
+        this._initialRecordValues = { ...this._initialRecordValues, ...serverValues };
+        this._expectedModstamp = systemModstamp || null;
+        this.conflict = null;
+        this.conflictRows = [];
+        const nothingToSave = (this.editFields || []).every((f) => {
+            const fn = f.fieldName || f.FieldName || '';
+            return normalizedValue(merged[fn], fieldTypeOf(f)) === normalizedValue(serverValues[fn], fieldTypeOf(f));
+        });
+        if (nothingToSave) {
+            this.dispatchEvent(new ShowToastEvent({ title: 'Up to date', message: 'The external org already has these values.', variant: 'info' }));
+            this.close({ saved: true });
+            return;
+        }
+        this.handleSave();
+    }
+}
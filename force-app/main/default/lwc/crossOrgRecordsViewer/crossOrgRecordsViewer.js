@@ -1,11 +1,22 @@
 import { LightningElement, track, api } from 'lwc';
 import getRecords from '@salesforce/apex/CrossOrgRecordsController.getRecords';
+import getConnections from '@salesforce/apex/CrossOrgConnection.getConnections';
 import getEditFields from '@salesforce/apex/CrossOrgRecordsController.getEditFields';
 import getCreateFields from '@salesforce/apex/CrossOrgRecordsController.getCreateFields';
 import getRecordForEdit from '@salesforce/apex/CrossOrgRecordsController.getRecordForEdit';
 import deleteRecord from '@salesforce/apex/CrossOrgRecordsController.deleteRecord';
+import deleteRecords from '@salesforce/apex/CrossOrgRecordsController.deleteRecords';
+import restoreRecord from '@salesforce/apex/CrossOrgRecordsController.restoreRecord';
+import updateRecords from '@salesforce/apex/CrossOrgRecordsController.updateRecords';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import LightningConfirm from 'lightning/confirm';
 import CrossOrgRecordModal from 'c/crossOrgRecordModal';
+import CrossOrgRecordDetailModal from 'c/crossOrgRecordDetailModal';
+import CrossOrgMassUpdateModal from 'c/crossOrgMassUpdateModal';
+import CrossOrgBulkResultModal from 'c/crossOrgBulkResultModal';
+import CrossOrgImportWizard from 'c/crossOrgImportWizard';
+import CrossOrgRecentlyDeletedModal from 'c/crossOrgRecentlyDeletedModal';
+import { toCsv, downloadCsv, releaseCsvDownload } from 'c/crossOrgCsv';
 
 const LIMIT_OPTIONS = [
     { label: '10', value: '10' },
@@ -16,10 +27,56 @@ const LIMIT_OPTIONS = [
 ];
 
 const SEARCH_DEBOUNCE_MS = 400;
+/**
+ * Plain-language reasons for the external org's delete error codes. withDetails keeps the org's own message,
+ * which names the blocking records or rule.
+ */
+const DELETE_ERROR_EXPLANATIONS = {
+    ENTITY_IS_DELETED: { text: 'This record was already deleted in the external org.' },
+    NOT_FOUND: { text: 'This record no longer exists in the external org.' },
+    INVALID_CROSS_REFERENCE_KEY: { text: 'This record no longer exists in the external org.' },
+    DELETE_FAILED: {
+        text: 'The external org would not delete this record, usually because other records still depend on it.',
+        withDetails: true
+    },
+    ENTITY_IS_LOCKED: { text: 'This record is locked in the external org, for example by an approval process.' },
+    INSUFFICIENT_ACCESS_OR_READONLY: { text: 'The integration user is not allowed to delete this record in the external org.' },
+    INSUFFICIENT_ACCESS_ON_CROSS_REFERENCE_ENTITY: {
+        text: 'The integration user is not allowed to delete this record in the external org.'
+    },
+    DELETE_OPERATION_TOO_LARGE: {
+        text: 'Deleting this record would also delete too many related records. Delete those first.'
+    },
+    FIELD_CUSTOM_VALIDATION_EXCEPTION: { text: 'A validation rule in the external org blocked the delete.', withDetails: true }
+};
+
+/** Rows requested per server batch; every page size above divides it, so a page never spans two batches. */
 const FETCH_LIMIT = 200;
+// Field types whose lightning-datatable type differs; percent fields hold 10 for 10%, so they stay plain numbers
+const DATATABLE_TYPES = {
+    checkbox: 'boolean',
+    percent: 'number',
+    multipicklist: 'text',
+    textarea: 'text',
+    richtext: 'text',
+    datetime: 'date'
+};
+
+/** One line per external org error, explained where the error code is known; fallback when there are none. */
+function explainDeleteErrors(errors, fallback) {
+    const lines = (errors || []).map((err) => {
+        const known = DELETE_ERROR_EXPLANATIONS[err.errorCode];
+        if (!known) return err.message || err.errorCode;
+        return known.withDetails && err.message ? `${known.text} ${err.message}` : known.text;
+    });
+    return lines.filter(Boolean).join(' ') || fallback;
+}
 
 export default class CrossOrgRecordsViewer extends LightningElement {
     @api objectApiName = 'Account';
+    @api useFullTextSearch = false;
+    /** Cross_Org_Connection__mdt DeveloperName of the org to read; blank uses the default connection. */
+    @api connectionKey = '';
 
     @track tableData = [];
     @track tableColumns = [];
@@ -30,28 +87,104 @@ export default class CrossOrgRecordsViewer extends LightningElement {
     @track pageSize = 25;
     @track sortedBy = '';
     @track sortedDirection = 'asc';
+    @track totalRecords = 0;
+    @track columnDefinitions = [];
+    @track filters = [];
+    @track showFilterPanel = false;
+    @track selectedRowIds = [];
+    @track draftValues = [];
+    @track tableErrors = {};
+    @track isSavingInline = false;
+    @track isExporting = false;
+    @track connectionOptions = [];
+    @track selectedConnectionKey = '';
+    /** Last single delete, offered for Undo: { auditLogId, label }. */
+    @track lastDeletion = null;
 
     recordLimitOptions = LIMIT_OPTIONS;
 
     searchTerm = '';
     _searchTimeout = null;
+    /** Rows fetched so far, indexed by their position in the full result set (sparse). */
+    _loadedRows = [];
+    _queryLocator = null;
+    _requestId = 0;
 
     connectedCallback() {
+        this.selectedConnectionKey = this.connectionKey || '';
+        this.loadConnections();
         if (this.objectApiName) {
             this.loadRecords();
         }
     }
 
+    disconnectedCallback() {
+        releaseCsvDownload();
+    }
+
+    get activeConnectionKey() {
+        return this.selectedConnectionKey || null;
+    }
+
+    get showConnectionPicker() {
+        return this.connectionOptions.length > 1;
+    }
+
+    loadConnections() {
+        getConnections()
+            .then((connections) => {
+                const list = connections || [];
+                this.connectionOptions = list.map((c) => ({ label: c.label, value: c.key }));
+                if (!this.selectedConnectionKey) {
+                    const defaultConnection = list.find((c) => c.isDefault) || list[0];
+                    if (defaultConnection) this.selectedConnectionKey = defaultConnection.key;
+                }
+            })
+            .catch(() => {
+                this.connectionOptions = [];
+            });
+    }
+
+    handleConnectionChange(event) {
+        if (event.detail.value === this.selectedConnectionKey) return;
+        this.selectedConnectionKey = event.detail.value;
+        this.loadRecords();
+    }
+
     get hasData() {
-        return this.tableData && this.tableData.length > 0;
+        return this.totalRecords > 0;
     }
 
     get showSearchOrActions() {
         return this.hasData || this.hasSearched;
     }
 
-    get totalRecords() {
-        return this.tableData?.length || 0;
+    get hasSelection() {
+        return this.selectedRowIds.length > 0;
+    }
+
+    get selectionLabel() {
+        return `${this.selectedRowIds.length} selected`;
+    }
+
+    get maxRowSelection() {
+        return FETCH_LIMIT;
+    }
+
+    get filterButtonLabel() {
+        return this.filters.length > 0 ? `Filters (${this.filters.length})` : 'Filters';
+    }
+
+    get exportButtonLabel() {
+        return this.isExporting ? 'Exporting...' : 'Export';
+    }
+
+    get exportDisabled() {
+        return this.isExporting || !this.hasData;
+    }
+
+    get filterButtonVariant() {
+        return this.filters.length > 0 ? 'brand-outline' : 'neutral';
     }
 
     get totalPages() {
@@ -59,17 +192,9 @@ export default class CrossOrgRecordsViewer extends LightningElement {
         return Math.ceil(this.totalRecords / this.pageSize);
     }
 
-    get paginatedData() {
-        if (!this.tableData || this.tableData.length === 0) return [];
-        const start = (this.currentPage - 1) * this.pageSize;
-        return this.tableData.slice(start, start + this.pageSize);
-    }
-
     get displayTableData() {
         const start = (this.currentPage - 1) * this.pageSize;
-        return (this.tableData || [])
-            .slice(start, start + this.pageSize)
-            .map((row, i) => ({ ...row, __rowNum: start + i + 1 }));
+        return (this.tableData || []).map((row, i) => ({ ...row, __rowNum: start + i + 1 }));
     }
 
     get displayColumns() {
@@ -129,9 +254,10 @@ export default class CrossOrgRecordsViewer extends LightningElement {
     handlePageSizeChange(event) {
         const newSize = parseInt(event.detail.value, 10) || 25;
         if (newSize === this.pageSize) return;
+        const firstRow = (this.currentPage - 1) * this.pageSize;
         this.pageSize = newSize;
         const maxPage = Math.max(1, Math.ceil(this.totalRecords / this.pageSize));
-        this.currentPage = Math.min(this.currentPage, maxPage);
+        this.showPage(Math.min(Math.floor(firstRow / this.pageSize) + 1, maxPage));
     }
 
     handleSearchChange(event) {
@@ -145,6 +271,42 @@ export default class CrossOrgRecordsViewer extends LightningElement {
         }, SEARCH_DEBOUNCE_MS);
     }
 
+    /**
+     * Downloads the current query (search, filters, sort) as CSV: every remaining batch is fetched from the
+     * external org first, so the file holds the full result set rather than the visible page.
+     */
+    handleExport() {
+        if (this.isExporting || this.totalRecords === 0) return;
+        const requestId = this._requestId;
+        const columns = (this.columnDefinitions || []).map((c) => ({ fieldName: c.fieldName, label: c.label, type: c.type }));
+        this.isExporting = true;
+        this.errorMessage = '';
+        this.ensureRowsLoaded(0, this.totalRecords)
+            .then(() => {
+                if (requestId !== this._requestId) return;
+                const rows = this._loadedRows.slice(0, this.totalRecords);
+                const stamp = new Date().toISOString().slice(0, 10);
+                downloadCsv(`${this.objectApiName}_${stamp}.csv`, toCsv(columns, rows));
+            })
+            .catch((error) => {
+                if (requestId !== this._requestId) return;
+                this.errorMessage = error.body?.message || error.message || 'Failed to export records.';
+            })
+            .finally(() => {
+                this.isExporting = false;
+                if (requestId === this._requestId) this.isLoading = false;
+            });
+    }
+
+    handleToggleFilters() {
+        this.showFilterPanel = !this.showFilterPanel;
+    }
+
+    handleFilterChange(event) {
+        this.filters = event.detail.filters || [];
+        this.loadRecords();
+    }
+
     loadRecords() {
         if (!this.objectApiName) {
             this.errorMessage = 'SObject API name is required.';
@@ -154,75 +316,139 @@ export default class CrossOrgRecordsViewer extends LightningElement {
         this.isLoading = true;
         this.errorMessage = '';
         this.hasSearched = true;
+        this._loadedRows = [];
+        this._queryLocator = null;
+        const requestId = ++this._requestId;
 
-        getRecords({
-            objectType: this.objectApiName,
-            recordLimit: FETCH_LIMIT,
-            searchTerm: this.searchTerm || null
-        })
+        this.fetchBatch(0)
             .then((response) => {
+                if (requestId !== this._requestId) return;
                 this.isLoading = false;
                 if (response.success) {
-                    this.tableData = response.records || [];
+                    this.columnDefinitions = response.columns || [];
+                    this.selectedRowIds = [];
+                    this.draftValues = [];
+                    this.tableErrors = {};
                     this.tableColumns = this.buildTableColumns(response.columns || []);
                     this.currentPage = 1;
-                    this.sortedBy = '';
-                    this.sortedDirection = 'asc';
+                    this.tableData = this._loadedRows.slice(0, this.pageSize);
+                    this.sortedBy = response.sortField || '';
+                    this.sortedDirection = response.sortDirection || 'asc';
                 } else {
                     this.errorMessage = response.errorMessage || 'An error occurred.';
-                    this.tableData = [];
-                    this.tableColumns = [];
-                    this.sortedBy = '';
-                    this.sortedDirection = 'asc';
+                    this.resetTable();
                 }
             })
             .catch((error) => {
+                if (requestId !== this._requestId) return;
                 this.isLoading = false;
                 this.errorMessage = error.body?.message || error.message || 'Failed to load records.';
-                this.tableData = [];
-                this.tableColumns = [];
-                this.sortedBy = '';
-                this.sortedDirection = 'asc';
+                this.resetTable();
+            });
+    }
+
+    resetTable() {
+        this.selectedRowIds = [];
+        this.draftValues = [];
+        this.tableErrors = {};
+        this.tableData = [];
+        this.tableColumns = [];
+        this.totalRecords = 0;
+        this._loadedRows = [];
+        this._queryLocator = null;
+        this.sortedBy = '';
+        this.sortedDirection = 'asc';
+    }
+
+    /** Fetches one server batch starting at recordOffset and stores its rows in the sparse cache. */
+    fetchBatch(recordOffset) {
+        return getRecords({
+            connectionKey: this.activeConnectionKey,
+            objectType: this.objectApiName,
+            recordLimit: FETCH_LIMIT,
+            searchTerm: this.searchTerm || null,
+            useFullTextSearch: this.useFullTextSearch === true,
+            filtersJson: this.filters.length > 0 ? JSON.stringify(this.filters) : null,
+            sortField: this.sortedBy || null,
+            sortDirection: this.sortedDirection || null,
+            queryLocator: recordOffset > 0 ? this._queryLocator : null,
+            recordOffset
+        }).then((response) => {
+            if (response.success) {
+                const offset = response.recordOffset || 0;
+                (response.records || []).forEach((row, i) => {
+                    this._loadedRows[offset + i] = row;
+                });
+                this.totalRecords = response.totalSize || 0;
+                if (response.queryLocator) this._queryLocator = response.queryLocator;
+            }
+            return response;
+        });
+    }
+
+    /** Resolves once every row in [start, end) is cached, fetching missing batches from the external org. */
+    ensureRowsLoaded(start, end) {
+        let missing = -1;
+        for (let i = start; i < end; i++) {
+            if (this._loadedRows[i] === undefined) {
+                missing = i;
+                break;
+            }
+        }
+        if (missing < 0) return Promise.resolve();
+        if (!this._queryLocator) return Promise.reject(new Error('Query results are no longer available. Search again to reload.'));
+        this.isLoading = true;
+        return this.fetchBatch(missing).then((response) => {
+            if (!response.success) throw new Error(response.errorMessage || 'Failed to load records.');
+            if (!response.records || response.records.length === 0) return undefined;
+            return this.ensureRowsLoaded(missing, end);
+        });
+    }
+
+    showPage(page) {
+        const start = (page - 1) * this.pageSize;
+        const end = Math.min(start + this.pageSize, this.totalRecords);
+        const requestId = this._requestId;
+        this.errorMessage = '';
+        this.ensureRowsLoaded(start, end)
+            .then(() => {
+                if (requestId !== this._requestId) return;
+                this.selectedRowIds = [];
+                this.currentPage = page;
+                this.tableData = this._loadedRows.slice(start, end).filter((row) => row !== undefined);
+            })
+            .catch((error) => {
+                if (requestId !== this._requestId) return;
+                this.errorMessage = error.body?.message || error.message || 'Failed to load records.';
+            })
+            .finally(() => {
+                if (requestId === this._requestId) this.isLoading = false;
             });
     }
 
     handleFirstPage() {
-        this.currentPage = 1;
+        this.showPage(1);
     }
 
     handlePrevPage() {
-        if (this.canGoPrev) this.currentPage -= 1;
+        if (this.canGoPrev) this.showPage(this.currentPage - 1);
     }
 
     handleNextPage() {
-        if (this.canGoNext) this.currentPage += 1;
+        if (this.canGoNext) this.showPage(this.currentPage + 1);
     }
 
     handleLastPage() {
-        this.currentPage = this.totalPages;
+        this.showPage(this.totalPages);
     }
 
+    /** Sorting is applied by the external query (ORDER BY), so every page reflects the full result set. */
     handleSort(event) {
         const { fieldName, sortDirection } = event.detail;
-        if (!fieldName || !this.tableData || this.tableData.length === 0) return;
-        const isAsc = sortDirection === 'asc';
-        const sorted = [...this.tableData].sort((a, b) => {
-            let aVal = a[fieldName];
-            let bVal = b[fieldName];
-            const aNull = aVal == null || aVal === '';
-            const bNull = bVal == null || bVal === '';
-            if (aNull && bNull) return 0;
-            if (aNull) return isAsc ? 1 : -1;
-            if (bNull) return isAsc ? -1 : 1;
-            if (typeof aVal === 'string') aVal = (aVal || '').toLowerCase();
-            if (typeof bVal === 'string') bVal = (bVal || '').toLowerCase();
-            if (aVal < bVal) return isAsc ? -1 : 1;
-            if (aVal > bVal) return isAsc ? 1 : -1;
-            return 0;
-        });
-        this.tableData = sorted;
+        if (!fieldName) return;
         this.sortedBy = fieldName;
         this.sortedDirection = sortDirection;
+        this.loadRecords();
     }
 
     buildTableColumns(columns) {
@@ -249,17 +475,18 @@ export default class CrossOrgRecordsViewer extends LightningElement {
             const colDef = {
                 label: col.label,
                 fieldName: col.fieldName,
-                type: isPicklist ? 'picklist' : colType,
-                editable: false,
+                type: isPicklist ? 'picklist' : DATATABLE_TYPES[colType] || colType,
+                editable: col.editable === true,
                 sortable: col.sortable === true
             };
             if (isPicklist) {
                 colDef.typeAttributes = {
                     options: col.options && col.options.length > 0 ? col.options : [],
-                    value: { fieldName: col.fieldName },
                     context: { fieldName: 'Id' },
                     placeholder: 'Select'
                 };
+            } else if (colType === 'datetime') {
+                colDef.typeAttributes = { year: 'numeric', month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit' };
             }
             result.push(colDef);
         });
@@ -275,15 +502,17 @@ export default class CrossOrgRecordsViewer extends LightningElement {
         return result;
     }
 
-    openRecordModal(record, fieldsPromise, lookupLabels) {
+    openRecordModal(record, fieldsPromise, lookupLabels, recordTypeName) {
         fieldsPromise
             .then((fields) =>
                 CrossOrgRecordModal.open({
                     size: 'medium',
                     record: record || {},
                     objectApiName: this.objectApiName,
+                    connectionKey: this.activeConnectionKey,
                     editFields: fields || [],
-                    lookupLabels: lookupLabels || {}
+                    lookupLabels: lookupLabels || {},
+                    recordTypeName: recordTypeName || ''
                 })
             )
             .then((result) => {
@@ -301,70 +530,404 @@ export default class CrossOrgRecordsViewer extends LightningElement {
             return;
         }
 
-        if (actionName === 'viewRecord' || actionName === 'edit') {
+        if (actionName === 'viewRecord') {
+            if (!row?.Id) {
+                this.errorMessage = 'Record Id is required to view.';
+                return;
+            }
+            CrossOrgRecordDetailModal.open({
+                size: 'large',
+                objectApiName: this.objectApiName,
+                connectionKey: this.activeConnectionKey,
+                recordId: row.Id,
+                canEdit: true
+            }).then((result) => {
+                if (result?.edit) this.openEditModal(row.Id);
+            });
+        } else if (actionName === 'edit') {
             if (!row?.Id) {
                 this.errorMessage = 'Record Id is required to edit.';
                 return;
             }
-            getRecordForEdit({ objectType: this.objectApiName, recordId: row.Id })
-                .then((resp) => {
-                    const editFields = Array.isArray(resp.editFields)
-                        ? resp.editFields.map((f) => ({ ...f }))
-                        : [];
-                    this.openRecordModal(resp.record, Promise.resolve(editFields), resp.lookupLabels || {});
-                })
-                .catch(() => {});
+            this.openEditModal(row.Id);
         } else if (actionName === 'delete') {
             if (!row?.Id) {
                 this.errorMessage = 'Record Id is required to delete.';
                 return;
             }
-            this.handleDelete(row.Id);
+            this.handleDelete(row.Id, row[this.labelFieldName]);
         }
     }
 
+    openEditModal(recordId) {
+        getRecordForEdit({ connectionKey: this.activeConnectionKey, objectType: this.objectApiName, recordId })
+            .then((resp) => {
+                const editFields = Array.isArray(resp.editFields)
+                    ? resp.editFields.map((f) => ({ ...f }))
+                    : [];
+                this.openRecordModal(resp.record, Promise.resolve(editFields), resp.lookupLabels || {}, resp.recordTypeName);
+            })
+            .catch(() => {});
+    }
+
     handleNewRecord() {
         if (!this.objectApiName) {
             this.errorMessage = 'Object type is required.';
             return;
         }
-        this.openRecordModal({}, getCreateFields({ objectType: this.objectApiName }), null);
+        this.openRecordModal({}, getCreateFields({ connectionKey: this.activeConnectionKey, objectType: this.objectApiName }), null);
+    }
+
+    handleImport() {
+        if (!this.objectApiName) {
+            this.errorMessage = 'Object type is required.';
+            return;
+        }
+        getCreateFields({ connectionKey: this.activeConnectionKey, objectType: this.objectApiName })
+            .then((fields) =>
+                CrossOrgImportWizard.open({
+                    size: 'large',
+                    objectApiName: this.objectApiName,
+                    connectionKey: this.activeConnectionKey,
+                    createFields: fields || []
+                })
+            )
+            .then((result) => {
+                if (result?.imported) this.loadRecords();
+            })
+            .catch((error) => {
+                this.errorMessage = error.body?.message || error.message || 'Failed to open import.';
+            });
     }
 
-    handleDelete(recordId) {
+    /** Deletes one record after confirmation; the success notice offers Undo (restoreRecord from the delete snapshot). */
+    async handleDelete(recordId, recordLabel) {
         if (!this.objectApiName || !recordId) {
             this.errorMessage = 'Object type and record Id are required.';
             return;
         }
-        if (!confirm('Are you sure you want to delete this record in the external org? This cannot be undone.')) {
+        const confirmed = await LightningConfirm.open({
+            label: 'Delete record',
+            message: `Delete ${recordLabel || 'this record'} in the external org? You can restore it from Recently deleted.`,
+            variant: 'header',
+            theme: 'error'
+        });
+        if (!confirmed) return;
+
+        this.isLoading = true;
+        this.errorMessage = '';
+        try {
+            const response = await deleteRecord({
+                connectionKey: this.activeConnectionKey,
+                objectType: this.objectApiName,
+                recordId: recordId
+            });
+            this.isLoading = false;
+            if (response.success) {
+                this.lastDeletion = response.auditLogId ? { auditLogId: response.auditLogId, label: recordLabel || recordId } : null;
+                this.dispatchEvent(
+                    new ShowToastEvent({
+                        title: 'Deleted',
+                        message: response.auditLogId
+                            ? 'Record deleted in external org. Use Undo above the table to restore it.'
+                            : 'Record deleted in external org.',
+                        variant: 'success'
+                    })
+                );
+                this.notifyAuditError(response);
+                this.loadRecords();
+            } else {
+                this.errorMessage = explainDeleteErrors(response.errors, response.errorMessage || 'Failed to delete.');
+            }
+        } catch (error) {
+            this.isLoading = false;
+            this.errorMessage = error.body?.message || error.message || 'Failed to delete.';
+        }
+    }
+
+    handleUndoDelete() {
+        const { auditLogId } = this.lastDeletion || {};
+        this.lastDeletion = null;
+        if (auditLogId) this.restoreDeletion(auditLogId);
+    }
+
+    handleDismissUndo() {
+        this.lastDeletion = null;
+    }
+
+    async handleRecentlyDeleted() {
+        if (!this.objectApiName) {
+            this.errorMessage = 'Object type is required.';
             return;
         }
+        const result = await CrossOrgRecentlyDeletedModal.open({
+            size: 'medium',
+            objectApiName: this.objectApiName,
+            connectionKey: this.activeConnectionKey,
+            labelField: this.labelFieldName
+        });
+        if (result?.restoredAuditLogIds?.length) {
+            if (this.lastDeletion && result.restoredAuditLogIds.includes(this.lastDeletion.auditLogId)) {
+                this.lastDeletion = null;
+            }
+            this.loadRecords();
+        }
+    }
 
+    async restoreDeletion(auditLogId) {
         this.isLoading = true;
         this.errorMessage = '';
+        try {
+            const response = await restoreRecord({ connectionKey: this.activeConnectionKey, auditLogId });
+            this.isLoading = false;
+            if (response.success) {
+                this.dispatchEvent(
+                    new ShowToastEvent({
+                        title: 'Restored',
+                        message: response.recreated
+                            ? 'The record was no longer in the recycle bin and was re-created with a new Id.'
+                            : 'Record restored in external org.',
+                        variant: 'success'
+                    })
+                );
+                this.notifyAuditError(response);
+                this.loadRecords();
+            } else {
+                this.errorMessage = response.errorMessage || 'Failed to restore.';
+            }
+        } catch (error) {
+            this.isLoading = false;
+            this.errorMessage = error.body?.message || error.message || 'Failed to restore.';
+        }
+    }
 
-        deleteRecord({
-            objectType: this.objectApiName,
-            recordId: recordId
-        })
+    handleRowSelection(event) {
+        this.selectedRowIds = (event.detail.selectedRows || []).map((row) => row.Id);
+    }
+
+    /** The record's display field: the link column, or Name. */
+    get labelFieldName() {
+        return (this.columnDefinitions.find((c) => c.isLink === true) || {}).fieldName || 'Name';
+    }
+
+    /** Display label per selected Id, taken from the link column (or Name) of the loaded rows. */
+    selectedRecordLabels() {
+        const labelField = this.labelFieldName;
+        const labels = {};
+        (this.tableData || []).forEach((row) => {
+            if (this.selectedRowIds.includes(row.Id)) labels[row.Id] = row[labelField] || row.Id;
+        });
+        return labels;
+    }
+
+    async handleBulkDelete() {
+        const recordIds = [...this.selectedRowIds];
+        if (recordIds.length === 0) return;
+        const confirmed = await LightningConfirm.open({
+            label: 'Delete records',
+            message: `Delete ${recordIds.length} selected record(s) in the external org? You can restore them from Recently deleted.`,
+            variant: 'header',
+            theme: 'error'
+        });
+        if (!confirmed) return;
+        const labels = this.selectedRecordLabels();
+        this.isLoading = true;
+        this.errorMessage = '';
+        try {
+            const response = await deleteRecords({ connectionKey: this.activeConnectionKey, objectType: this.objectApiName, recordIds });
+            this.isLoading = false;
+            const results = (response.results || []).map((result) => (
+                result.success ? result : { ...result, errorMessage: explainDeleteErrors(result.errors, result.errorMessage) }
+            ));
+            this.handleBulkResponse({ ...response, results }, 'Delete results', labels);
+        } catch (error) {
+            this.isLoading = false;
+            this.errorMessage = error.body?.message || error.message || 'Failed to delete records.';
+        }
+    }
+
+    async handleBulkUpdateField() {
+        const recordIds = [...this.selectedRowIds];
+        if (recordIds.length === 0) return;
+        try {
+            const editFields = await getEditFields({ connectionKey: this.activeConnectionKey, objectType: this.objectApiName });
+            const change = await CrossOrgMassUpdateModal.open({
+                size: 'small',
+                editFields: editFields || [],
+                selectedCount: recordIds.length
+            });
+            if (!change) return;
+            const labels = this.selectedRecordLabels();
+            this.isLoading = true;
+            this.errorMessage = '';
+            const response = await updateRecords({
+                connectionKey: this.activeConnectionKey,
+                objectType: this.objectApiName,
+                recordsJson: JSON.stringify(recordIds.map((id) => ({ Id: id, [change.fieldName]: change.value })))
+            });
+            this.isLoading = false;
+            this.handleBulkResponse(response, `Update ${change.label} results`, labels);
+        } catch (error) {
+            this.isLoading = false;
+            this.errorMessage = error.body?.message || error.message || 'Failed to update records.';
+        }
+    }
+
+    async handleBulkEdit() {
+        const recordIds = [...this.selectedRowIds];
+        if (recordIds.length === 0) return;
+        try {
+            const labels = this.selectedRecordLabels();
+            const editFields = await getEditFields({ connectionKey: this.activeConnectionKey, objectType: this.objectApiName });
+            const result = await CrossOrgRecordModal.open({
+                size: 'medium',
+                record: {},
+                objectApiName: this.objectApiName,
+                connectionKey: this.activeConnectionKey,
+                editFields: (editFields || []).map((f) => ({ ...f, required: false })),
+                lookupLabels: {},
+                bulkRecordIds: recordIds
+            });
+            if (result?.bulkResult) this.handleBulkResponse(result.bulkResult, 'Mass edit results', labels);
+        } catch (error) {
+            this.errorMessage = error.body?.message || error.message || 'Failed to open mass edit.';
+        }
+    }
+
+    handleBulkResponse(response, heading, labels) {
+        if (!response.success) {
+            this.errorMessage = response.errorMessage || 'Bulk operation failed.';
+            return;
+        }
+        this.dispatchEvent(
+            new ShowToastEvent({
+                title: heading,
+                message: `${response.successCount} succeeded, ${response.errorCount} failed.`,
+                variant: response.errorCount > 0 ? 'warning' : 'success'
+            })
+        );
+        this.notifyAuditError(response);
+        if (response.errorCount > 0) {
+            CrossOrgBulkResultModal.open({
+                size: 'medium',
+                heading,
+                results: response.results || [],
+                recordLabels: labels
+            });
+        }
+        this.loadRecords();
+    }
+
+    /** Sends every drafted row in one Collections PATCH; failed rows keep their drafts and show errors on the cells. */
+    handleInlineSave(event) {
+        const drafts = event.detail.draftValues || [];
+        if (drafts.length === 0) return;
+        const records = drafts.map((draft) => this.toInlineSavePayload(draft));
+        this.isSavingInline = true;
+        this.errorMessage = '';
+        updateRecords({ connectionKey: this.activeConnectionKey, objectType: this.objectApiName, recordsJson: JSON.stringify(records) })
             .then((response) => {
-                this.isLoading = false;
-                if (response.success) {
+                if (!response.success) {
+                    this.errorMessage = response.errorMessage || 'Failed to save changes.';
+                    return;
+                }
+                const failedById = {};
+                (response.results || []).forEach((result) => {
+                    if (!result.success) failedById[result.recordId] = result;
+                });
+                const savedById = {};
+                records.forEach((record) => {
+                    if (!failedById[record.Id]) savedById[record.Id] = record;
+                });
+                this.applySavedValues(savedById);
+                this.draftValues = drafts.filter((draft) => failedById[draft.Id]);
+                this.tableErrors = this.buildTableErrors(failedById, this.draftValues);
+                if (response.successCount > 0) {
                     this.dispatchEvent(
                         new ShowToastEvent({
-                            title: 'Deleted',
-                            message: 'Record deleted in external org.',
+                            title: 'Saved',
+                            message: `${response.successCount} record(s) updated.`,
                             variant: 'success'
                         })
                     );
-                    this.loadRecords();
-                } else {
-                    this.errorMessage = response.errorMessage || 'Failed to delete.';
                 }
+                this.notifyAuditError(response);
             })
             .catch((error) => {
-                this.isLoading = false;
-                this.errorMessage = error.body?.message || error.message || 'Failed to delete.';
+                this.errorMessage = error.body?.message || error.message || 'Failed to save changes.';
+            })
+            .finally(() => {
+                this.isSavingInline = false;
             });
     }
-}
\ No newline at end of file
+
+    /** Warns that a write went through but its Cross_Org_Audit_Log__c entry could not be written. */
+    notifyAuditError(response) {
+        if (!response.auditError) return;
+        this.dispatchEvent(
+            new ShowToastEvent({ title: 'Not recorded in the audit log', message: response.auditError, variant: 'warning', mode: 'sticky' })
+        );
+    }
+
+    handleInlineCancel() {
+        this.draftValues = [];
+        this.tableErrors = {};
+    }
+
+    /** Blank cells clear the field; number-like columns are sent as numbers. */
+    toInlineSavePayload(draft) {
+        const typeByField = {};
+        (this.columnDefinitions || []).forEach((c) => {
+            typeByField[c.fieldName] = (c.type || 'text').toLowerCase();
+        });
+        const record = { Id: draft.Id };
+        Object.keys(draft).forEach((fieldName) => {
+            if (fieldName === 'Id') return;
+            const val = draft[fieldName];
+            if (val === '' || val === undefined) {
+                record[fieldName] = null;
+            } else if (['number', 'currency', 'percent'].includes(typeByField[fieldName]) && typeof val === 'string') {
+                record[fieldName] = Number(val);
+            } else {
+                record[fieldName] = val;
+            }
+        });
+        return record;
+    }
+
+    /** Merges saved values into the row cache so the current page shows them without re-querying. */
+    applySavedValues(savedById) {
+        this._loadedRows = this._loadedRows.map((row) => (row && savedById[row.Id] ? { ...row, ...savedById[row.Id] } : row));
+        this.tableData = (this.tableData || []).map((row) => (savedById[row.Id] ? { ...row, ...savedById[row.Id] } : row));
+    }
+
+    buildTableErrors(failedById, drafts) {
+        const failedIds = Object.keys(failedById);
+        if (failedIds.length === 0) return {};
+        const draftById = {};
+        drafts.forEach((draft) => {
+            draftById[draft.Id] = draft;
+        });
+        const rows = {};
+        const messages = [];
+        failedIds.forEach((recordId) => {
+            const result = failedById[recordId];
+            const drafted = Object.keys(draftById[recordId] || {}).filter((f) => f !== 'Id');
+            const fieldNames = (result.fields || []).filter((f) => drafted.includes(f));
+            const message = result.errorMessage || 'Save failed.';
+            rows[recordId] = {
+                title: 'Could not save this row',
+                messages: [message],
+                fieldNames: fieldNames.length > 0 ? fieldNames : drafted
+            };
+            messages.push(message);
+        });
+        return {
+            rows,
+            table: {
+                title: `${failedIds.length} record(s) could not be saved`,
+                messages: [...new Set(messages)]
+            }
+        };
+    }
+}
@@ -0,0 +1,108 @@
+import { isValidEmail, isValidPhone, validateFieldValue, checkValidationRules } from 'c/crossOrgValidation';
+
+/** A rule as CrossOrgValidationRules.Rule sends it; message stands in for the Apex default or Error_Message__c. */
+function rule(fields) {
+    return { conditionValues: [], operator: 'equals', message: `${fields.fieldName} ${fields.ruleType} failed`, ...fields };
+}
+
+function messages(rules, values, changedFields = null) {
+    return checkValidationRules(Array.isArray(rules) ? rules : [rules], values, changedFields).map((e) => e.message);
+}
+
+describe('c-cross-org-validation', () => {
+    describe('isValidPhone', () => {
+        it('accepts local and international numbers with separators and extensions', () => {
+            ['(555) 123-4567', '+44 20 7946 0958', '+1 (555) 123-4567', '555.123.4567 ext. 12', '5551234 x9', '', null].forEach((value) => {
+                expect(isValidPhone(value)).toBe(true);
+            });
+        });
+
+        it('rejects letters and too few or too many digits', () => {
+            ['555-CALL-NOW', '12345', '+1234567890123456', '++1 555 123 4567'].forEach((value) => {
+                expect(isValidPhone(value)).toBe(false);
+            });
+        });
+    });
+
+    describe('isValidEmail', () => {
+        it('checks the address format and allows blanks', () => {
+            expect(isValidEmail(' jane.doe+test@example.co.uk ')).toBe(true);
+            expect(isValidEmail('')).toBe(true);
+            expect(isValidEmail('jane@example')).toBe(false);
+            expect(isValidEmail('@example.com')).toBe(false);
+        });
+    });
+
+    describe('validateFieldValue', () => {
+        it('reports required, email and phone errors by label', () => {
+            expect(validateFieldValue({ fieldName: 'LastName', label: 'Last Name', required: true }, '  ')).toBe('Last Name is required.');
+            expect(validateFieldValue({ fieldName: 'Email', type: 'email' }, 'nope')).toBe('Invalid email format for Email.');
+            expect(validateFieldValue({ fieldName: 'Phone', label: 'Phone', type: 'Phone' }, 'abc')).toBe('Invalid phone format for Phone.');
+            expect(validateFieldValue({ fieldName: 'Phone', type: 'phone' }, '+1 (555) 123-4567')).toBeNull();
+            expect(validateFieldValue({ fieldName: 'Title' }, '')).toBeNull();
+        });
+    });
+
+    // Same cases as CrossOrgValidationRulesTest, so the modal and the Apex save methods agree
+    describe('checkValidationRules', () => {
+        it('requires a field while the other field holds one of the condition values', () => {
+            const r = rule({ fieldName: 'Amount', ruleType: 'Required', otherField: 'StageName', conditionValues: ['Closed Won', 'Closed Lost'] });
+            expect(checkValidationRules([r], { stagename: 'Closed Won', Amount: '' })).toEqual([{ fieldName: 'Amount', message: r.message }]);
+            expect(messages(r, { StageName: 'Prospecting', Amount: '' })).toEqual([]);
+            expect(messages(r, { StageName: 'Closed Won', Amount: 0 })).toEqual([]);
+            expect(messages(r, { StageName: 'Closed Lost;Other', Amount: null })).toEqual([r.message]);
+        });
+
+        it('leaves rules reading a field that is not on the form to the server', () => {
+            expect(messages(rule({ fieldName: 'Name', ruleType: 'Required' }), {})).toEqual([]);
+            expect(messages(rule({ fieldName: 'Name', ruleType: 'Required' }), { Name: '' })).toHaveLength(1);
+        });
+
+        it('checks patterns against the whole value', () => {
+            const r = rule({ fieldName: 'Code__c', ruleType: 'Pattern', regex: '[A-Z]{3}-\\d+', message: 'Use the format ABC-123.' });
+            expect(messages(r, { Code__c: 'ABC-42' })).toEqual([]);
+            expect(messages(r, { Code__c: 'x ABC-42' })).toEqual(['Use the format ABC-123.']);
+            expect(messages(r, { Code__c: 'ABC-42|x' })).toEqual(['Use the format ABC-123.']);
+            expect(messages(r, { Code__c: '' })).toEqual([]);
+        });
+
+        it('ignores a misconfigured pattern', () => {
+            expect(messages(rule({ fieldName: 'Name', ruleType: 'Pattern', regex: '([' }), { Name: 'Acme' })).toEqual([]);
+        });
+
+        it('checks text length and numeric range', () => {
+            const length = rule({ fieldName: 'Name', ruleType: 'Length', minValue: 3, maxValue: 5 });
+            expect(messages(length, { Name: 'ab' })).toHaveLength(1);
+            expect(messages(length, { Name: 'abcdef' })).toHaveLength(1);
+            expect(messages(length, { Name: 'abcd' })).toEqual([]);
+
+            const range = rule({ fieldName: 'Amount', ruleType: 'Range', minValue: 0 });
+            expect(messages(range, { Amount: -1 })).toHaveLength(1);
+            expect(messages(range, { Amount: '12.5' })).toEqual([]);
+            expect(messages(range, { Amount: 'n/a' })).toEqual([]);
+        });
+
+        it('compares numbers numerically, datetimes by instant and dates as text', () => {
+            const dates = rule({ fieldName: 'End_Date__c', ruleType: 'Comparison', otherField: 'Start_Date__c', operator: 'greaterOrEqual' });
+            expect(messages(dates, { End_Date__c: '2024-05-02', Start_Date__c: '2024-05-01' })).toEqual([]);
+            expect(messages(dates, { End_Date__c: '2024-04-30', Start_Date__c: '2024-05-01' })).toHaveLength(1);
+            expect(messages(dates, { End_Date__c: '2024-04-30', Start_Date__c: '' })).toEqual([]);
+
+            const numbers = rule({ fieldName: 'Max__c', ruleType: 'Comparison', otherField: 'Min__c', operator: 'greaterThan' });
+            expect(messages(numbers, { Max__c: 10, Min__c: '9' })).toEqual([]);
+
+            const instants = rule({ fieldName: 'A__c', ruleType: 'Comparison', otherField: 'B__c', operator: 'equals' });
+            expect(messages(instants, { A__c: '2024-05-01T10:00:00.000+0000', B__c: '2024-05-01T10:00:00.000Z' })).toEqual([]);
+        });
+
+        it('only checks rules reading a changed field on edit', () => {
+            const rules = [
+                rule({ fieldName: 'Amount', ruleType: 'Required', otherField: 'StageName' }),
+                rule({ fieldName: 'Phone', ruleType: 'Required' })
+            ];
+            const values = { StageName: 'Closed Won', Amount: '', Phone: '' };
+            expect(messages(rules, values, ['StageName'])).toEqual([rules[0].message]);
+            expect(messages(rules, values)).toEqual([rules[0].message, rules[1].message]);
+        });
+    });
+});
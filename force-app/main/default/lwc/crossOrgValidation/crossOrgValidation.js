@@ -0,0 +1,155 @@
+/**
+ * Field validation rules shared by the record modal and the import wizard.
+ */
+
+const EMAIL_REGEX = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+/** Digits with an optional leading + and the usual separators, e.g. +44 20 7946 0958 or (555) 123-4567 ext. 12. */
+const PHONE_REGEX = /^\+?[0-9()./\s-]+((ext\.?|x)\s*\d+)?$/i;
+
+const COMPARISONS = {
+    equals: (c) => c === 0,
+    notEquals: (c) => c !== 0,
+    greaterThan: (c) => c > 0,
+    greaterOrEqual: (c) => c >= 0,
+    lessThan: (c) => c < 0,
+    lessOrEqual: (c) => c <= 0
+};
+
+export function isValidEmail(s) {
+    if (s == null || String(s).trim() === '') return true;
+    return EMAIL_REGEX.test(String(s).trim());
+}
+
+/** Accepts local and international numbers: 7 to 15 digits (the E.164 maximum) before any extension. */
+export function isValidPhone(s) {
+    if (s == null || String(s).trim() === '') return true;
+    const value = String(s).trim();
+    if (!PHONE_REGEX.test(value)) return false;
+    const digits = value.replace(/(ext\.?|x)\s*\d+$/i, '').replace(/\D/g, '');
+    return digits.length >= 7 && digits.length <= 15;
+}
+
+/**
+ * Checks one value against a field definition (required, email, phone), as the record modal does.
+ * Returns an error message, or null when the value is valid.
+ */
+export function validateFieldValue(field, value) {
+    const label = field.label || field.fieldName;
+    const strVal = value == null ? '' : String(value).trim();
+    if (strVal === '') {
+        return field.required === true ? `${label} is required.` : null;
+    }
+    const type = (field.type || 'text').toLowerCase();
+    if (type === 'email' && !isValidEmail(strVal)) return `Invalid email format for ${label}.`;
+    if (type === 'phone' && !isValidPhone(strVal)) return `Invalid phone format for ${label}.`;
+    return null;
+}
+
+function isBlank(value) {
+    return value == null || String(value).trim() === '';
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    const s = String(value).trim();
+    return s !== '' && !isNaN(Number(s)) ? Number(s) : null;
+}
+
+/** Datetimes in either REST form (+0000 or Z) as epoch milliseconds; null for anything else. */
+function toTime(value) {
+    const s = String(value).trim();
+    if (!/^\d{4}-\d{2}-\d{2}T/.test(s)) return null;
+    const t = Date.parse(s.replace(/([+-]\d{2})(\d{2})$/, '$1:$2'));
+    return isNaN(t) ? null : t;
+}
+
+/** Numbers numerically, datetimes by instant, anything else (including YYYY-MM-DD dates) as text. */
+function compareValues(left, right) {
+    const leftNumber = toNumber(left);
+    const rightNumber = toNumber(right);
+    if (leftNumber !== null && rightNumber !== null) return Math.sign(leftNumber - rightNumber);
+    const leftTime = toTime(left);
+    const rightTime = toTime(right);
+    if (leftTime !== null && rightTime !== null) return Math.sign(leftTime - rightTime);
+    const leftText = String(left).trim();
+    const rightText = String(right).trim();
+    if (leftText === rightText) return 0;
+    return leftText < rightText ? -1 : 1;
+}
+
+function fieldsRead(rule) {
+    const fields = [rule.fieldName];
+    if (rule.otherField && (rule.ruleType === 'Required' || rule.ruleType === 'Comparison')) fields.push(rule.otherField);
+    return fields;
+}
+
+function outOfRange(rule, n) {
+    return (rule.minValue != null && n < rule.minValue) || (rule.maxValue != null && n > rule.maxValue);
+}
+
+function conditionMet(rule, other) {
+    if (!rule.otherField) return true;
+    if (isBlank(other)) return false;
+    const conditionValues = (rule.conditionValues || []).map((v) => v.toLowerCase());
+    if (conditionValues.length === 0) return true;
+    // Multi-select values match when any selected value does
+    return String(other)
+        .split(';')
+        .some((part) => conditionValues.includes(part.trim().toLowerCase()));
+}
+
+/** True when the rule holds for value (and other, the value of its other field). */
+function rulePasses(rule, value, other) {
+    if (rule.ruleType === 'Required') return !(isBlank(value) && conditionMet(rule, other));
+    if (isBlank(value)) return true;
+    const text = String(value).trim();
+    switch (rule.ruleType) {
+        case 'Pattern': {
+            if (!rule.regex) return true;
+            try {
+                return new RegExp(`^(?:${rule.regex})$`).test(text);
+            } catch {
+                // A misconfigured rule must not block saves
+                return true;
+            }
+        }
+        case 'Length':
+            return !outOfRange(rule, text.length);
+        case 'Range': {
+            const n = toNumber(value);
+            return n === null || !outOfRange(rule, n);
+        }
+        case 'Comparison': {
+            if (!rule.otherField || isBlank(other)) return true;
+            const holds = COMPARISONS[rule.operator] || COMPARISONS.equals;
+            return holds(compareValues(value, other));
+        }
+        default:
+            return true;
+    }
+}
+
+/**
+ * Checks values against Validation_Rule__mdt rules (the validationRules of the form's field definitions), the same
+ * way CrossOrgValidationRules does in Apex before saving. values maps field API names to the values being saved;
+ * a rule that reads a field missing from values (not on the form) is left to the server. When changedFields is
+ * set (edits), only rules that read one of them are checked. Returns one { fieldName, message } per broken rule.
+ */
+export function checkValidationRules(rules, values, changedFields) {
+    const byName = {};
+    Object.keys(values || {}).forEach((key) => {
+        byName[key.toLowerCase()] = values[key];
+    });
+    const changed = changedFields ? changedFields.map((f) => f.toLowerCase()) : null;
+    const errors = [];
+    (rules || []).forEach((rule) => {
+        const read = fieldsRead(rule).map((f) => f.toLowerCase());
+        if (read.some((f) => !(f in byName))) return;
+        if (changed && !read.some((f) => changed.includes(f))) return;
+        const other = rule.otherField ? byName[rule.otherField.toLowerCase()] : null;
+        if (!rulePasses(rule, byName[rule.fieldName.toLowerCase()], other)) {
+            errors.push({ fieldName: rule.fieldName, message: rule.message });
+        }
+    });
+    return errors;
+}
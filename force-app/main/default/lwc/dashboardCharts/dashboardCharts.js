@@ -1,7 +1,12 @@
 import { LightningElement, api, track } from 'lwc';
 import { loadScript } from 'lightning/platformResourceLoader';
 import getDashboardChartData from '@salesforce/apex/DashboardDataController.getDashboardChartData';
+import getDrillDownRows from '@salesforce/apex/DashboardDataController.getDrillDownRows';
+import refreshDashboard from '@salesforce/apex/DashboardDataController.refreshDashboard';
+import getRefreshStatus from '@salesforce/apex/DashboardDataController.getRefreshStatus';
+import getConnections from '@salesforce/apex/CrossOrgConnection.getConnections';
 import chartjsResource from '@salesforce/resourceUrl/chartjs';
+import CrossOrgRecordDetailModal from 'c/crossOrgRecordDetailModal';
 
 const CHART_COLORS = [
     'rgba(0, 118, 211, 0.8)',
@@ -12,6 +17,49 @@ const CHART_COLORS = [
     'rgba(0, 176, 180, 0.8)'
 ];
 
+/**
+ * A measure value for tooltips, axes and metrics when the org's own formatting is not available. Percent values are
+ * already in percent (45.5 is 45.5%); currency needs the report's currency code. compact shortens axis ticks (1.2K).
+ */
+function formatValue(value, format, currencyCode, compact) {
+    if (value === null || value === undefined || value === '') return '';
+    const n = Number(value);
+    if (isNaN(n)) return String(value);
+    const options = compact ? { notation: 'compact', maximumFractionDigits: 1 } : { maximumFractionDigits: 2 };
+    if (format === 'currency' && currencyCode) {
+        return new Intl.NumberFormat(undefined, { ...options, style: 'currency', currency: currencyCode }).format(n);
+    }
+    const text = new Intl.NumberFormat(undefined, options).format(n);
+    return format === 'percent' ? `${text}%` : text;
+}
+
+/** What went wrong, by DashboardDataController errorCategory; the org's own message follows. */
+const ERROR_HEADLINES = {
+    auth: 'The connection to the external org is not authorized. Check its named credential.',
+    permission: 'You do not have access to this in the external org.',
+    notFound: 'Not found in the external org.',
+    timeout: 'The external org did not respond in time.',
+    parse: 'The external org returned something that is not dashboard data.',
+    unknown: 'The external org could not be reached.'
+};
+
+function describeError(data) {
+    const headline = ERROR_HEADLINES[data.errorCategory] || ERROR_HEADLINES.unknown;
+    const detail = [data.statusCode, data.errorMessage].filter((part) => part !== null && part !== undefined && part !== '');
+    return detail.length > 0 ? `${headline} (${detail.join(': ')})` : headline;
+}
+
+const AUTO_REFRESH_OPTIONS = [
+    { label: 'Off', value: '0' },
+    { label: 'Every 5 minutes', value: '5' },
+    { label: 'Every 15 minutes', value: '15' },
+    { label: 'Every 30 minutes', value: '30' },
+    { label: 'Every hour', value: '60' }
+];
+/** A dashboard refresh in the external org is polled every REFRESH_POLL_MS, for at most REFRESH_MAX_POLLS times. */
+const REFRESH_POLL_MS = 3000;
+const REFRESH_MAX_POLLS = 40;
+
 const DASHBOARD_TABLE_COLUMNS = [
     {
         label: 'Dashboard Name',
@@ -28,30 +76,55 @@ const DASHBOARD_TABLE_COLUMNS = [
     { label: 'Developer Name', fieldName: 'developerName', type: 'text', sortable: true }
 ];
 
-const API_VERSION = 'v65.0';
-
 export default class DashboardCharts extends LightningElement {
     @api endpoint = '';
+    /** Cross_Org_Connection__mdt DeveloperName of the org to read; blank uses the default connection. */
+    @api connectionKey = '';
+    /** Show sample dashboards instead of calling the org, e.g. to try the component before a connection exists. */
+    @api demoMode = false;
+    /** Minutes between automatic refreshes of an open dashboard; 0 is off. Users can change it in the modal. */
+    @api autoRefreshMinutes = 0;
 
     @track dashboards = [];
     @track isLoading = true;
     @track errorMessage = '';
+    /** The data shown is the controller's sample data (demo mode). */
+    @track isDemo = false;
 
     @track showModal = false;
     @track modalTitle = '';
     @track modalCharts = [];
     @track modalLoading = false;
     @track modalError = '';
+    /** When the shown dashboard data was last refreshed in the external org (ISO datetime), and whether it came from the cache. */
+    @track modalAsOf = null;
+    @track modalFromCache = false;
+    @track refreshing = false;
+    @track refreshError = '';
+    @track autoRefreshValue = '0';
+    /** Dashboard filters of the open dashboard: { key, index, name, options (combobox options, '' for All), value }. */
+    @track modalFilters = [];
+    /** Report rows behind a clicked chart segment: { title, columns, rows, hasMore, isLoading, error }; null shows the charts. */
+    @track drillDown = null;
+    @track connectionOptions = [];
+    @track selectedConnectionKey = '';
 
     tableColumns = DASHBOARD_TABLE_COLUMNS;
     _chartLib = null;
+    _modalEndpoint = null;
+    _modalDashboardId = null;
     _modalChartInstances = [];
+    /** The one timer of the window: the next auto-refresh, or the next status poll while a refresh runs. */
+    _refreshTimer = null;
 
     connectedCallback() {
+        this.selectedConnectionKey = this.connectionKey || '';
+        this.loadConnections();
         this.loadData();
     }
 
     disconnectedCallback() {
+        this.stopRefreshTimer();
         this.destroyModalCharts();
     }
 
@@ -63,10 +136,44 @@ export default class DashboardCharts extends LightningElement {
         return 'Dashboards';
     }
 
+    get showConnectionPicker() {
+        return this.connectionOptions.length > 1;
+    }
+
     get hasModalCharts() {
         return this.modalCharts && this.modalCharts.length > 0;
     }
 
+    get chartsGridClass() {
+        return this.drillDown ? 'charts-grid slds-hide' : 'charts-grid';
+    }
+
+    get hasDrillDownRows() {
+        return this.drillDown && this.drillDown.rows.length > 0;
+    }
+
+    get autoRefreshOptions() {
+        if (AUTO_REFRESH_OPTIONS.some((o) => o.value === this.autoRefreshValue)) return AUTO_REFRESH_OPTIONS;
+        return [...AUTO_REFRESH_OPTIONS, { label: `Every ${this.autoRefreshValue} minutes`, value: this.autoRefreshValue }];
+    }
+
+    get hasModalFilters() {
+        return this.modalFilters.length > 0;
+    }
+
+    get filtersDisabled() {
+        return this.modalLoading || this.refreshing;
+    }
+
+    /** The selected option Id (or '') of each dashboard filter, in order, as the controller applies them. */
+    get modalFilterIds() {
+        return this.modalFilters.map((f) => f.value);
+    }
+
+    get refreshLabel() {
+        return this.refreshing ? 'Refreshing…' : 'Refresh';
+    }
+
     handleRowAction(event) {
         const actionName = event.detail.action.name;
         const row = event.detail.row;
@@ -81,30 +188,54 @@ export default class DashboardCharts extends LightningElement {
         this.modalCharts = [];
         this.modalError = '';
         this.modalLoading = true;
+        this.drillDown = null;
+        this.modalAsOf = null;
+        this.modalFromCache = false;
+        this.modalFilters = [];
+        this.refreshError = '';
         this.destroyModalCharts();
-        const path = row.url || `/services/data/${API_VERSION}/analytics/dashboards/${row.id}`;
-        this.loadModalChart(path);
+        this._modalEndpoint = row.url;
+        this._modalDashboardId = row.id;
+        this.loadModalChart(row.url);
+        const minutes = parseInt(this.autoRefreshMinutes, 10);
+        this.autoRefreshValue = minutes > 0 ? String(minutes) : '0';
+        this.startAutoRefresh();
+    }
+
+    handleModalRetry() {
+        this.modalError = '';
+        this.modalLoading = true;
+        this.loadModalChart(this._modalEndpoint);
     }
 
     async loadModalChart(endpoint) {
         try {
-            const raw = await getDashboardChartData({ endpoint });
+            const raw = await getDashboardChartData({
+                connectionKey: this.selectedConnectionKey || null,
+                endpoint,
+                demoMode: this.demoMode === true,
+                filterOptionIds: this.modalFilterIds
+            });
             const data = typeof raw === 'string' ? JSON.parse(raw) : raw;
+            if (data && data.success === false) {
+                this.modalError = describeError(data);
+                return;
+            }
+            this.modalFilters = this.toModalFilters(data?.filters);
             const chartList = (data && data.charts) ? data.charts : [];
             const title = (data && data.dashboardTitle) ? String(data.dashboardTitle) : this.modalTitle;
             this.modalTitle = title;
+            this.modalAsOf = data?.asOf || data?.retrievedAt || null;
+            this.modalFromCache = data?.fromCache === true;
             if (chartList.length > 0) {
-                if (!this._chartLib) {
+                const components = chartList.map((c, i) => this.toModalComponent(c, i));
+                if (components.some((c) => c.isChart) && !this._chartLib) {
                     await loadScript(this, chartjsResource);
                     this._chartLib = window.Chart;
                 }
-                this.modalCharts = chartList.map((c, i) => ({
-                    id: c.id || 'modal-chart-' + i,
-                    type: (c.type || 'bar').toLowerCase(),
-                    title: c.title || 'Chart ' + (i + 1),
-                    labels: Array.isArray(c.labels) ? c.labels : [],
-                    datasets: Array.isArray(c.datasets) ? c.datasets : []
-                }));
+                // A reload (refresh) replaces the charts; renderedCallback draws the new ones
+                this.destroyModalCharts();
+                this.modalCharts = components;
             } else {
                 this.modalError = 'No chart data for this dashboard.';
             }
@@ -115,13 +246,174 @@ export default class DashboardCharts extends LightningElement {
         }
     }
 
+    /** Dashboard filters from the controller; a reload keeps the user's selection, the first load shows the dashboard's. */
+    toModalFilters(filters) {
+        return (Array.isArray(filters) ? filters : []).map((f, i) => {
+            const previous = this.modalFilters[i];
+            return {
+                key: 'filter-' + i,
+                index: i,
+                name: f.name || 'Filter ' + (i + 1),
+                options: [{ label: 'All', value: '' }, ...(f.options || []).map((o) => ({ label: o.label, value: o.id }))],
+                value: previous && previous.name === f.name ? previous.value : f.selectedOptionId || ''
+            };
+        });
+    }
+
+    handleFilterChange(event) {
+        const index = Number(event.target.dataset.index);
+        this.modalFilters = this.modalFilters.map((f, i) => (i === index ? { ...f, value: event.detail.value } : f));
+        this.modalError = '';
+        this.refreshError = '';
+        this.drillDown = null;
+        this.modalLoading = true;
+        this.destroyModalCharts();
+        this.loadModalChart(this._modalEndpoint);
+    }
+
+    /** One dashboard component from the controller: a chart, a metric or a table. */
+    toModalComponent(c, i) {
+        const type = (c.type || 'bar').toLowerCase();
+        return {
+            id: c.id || 'modal-chart-' + i,
+            type,
+            title: c.title || 'Chart ' + (i + 1),
+            isMetric: type === 'metric',
+            isTable: type === 'table',
+            isChart: type !== 'metric' && type !== 'table',
+            labels: Array.isArray(c.labels) ? c.labels : [],
+            datasets: Array.isArray(c.datasets) ? c.datasets : [],
+            indexAxis: c.indexAxis === 'y' ? 'y' : 'x',
+            stacked: c.stacked === true,
+            formattedValue: c.formattedValue || formatValue(c.value, c.format, c.currencyCode),
+            measureLabel: c.measureLabel || '',
+            tableColumns: (c.columns || []).map((col) => ({
+                label: col.label,
+                fieldName: col.fieldName,
+                type: 'text',
+                cellAttributes: col.numeric ? { alignment: 'right' } : undefined
+            })),
+            tableRows: Array.isArray(c.rows) ? c.rows : [],
+            reportId: c.reportId || null,
+            groupingColumn: c.groupingColumn || null,
+            groupingValues: Array.isArray(c.groupingValues) ? c.groupingValues : []
+        };
+    }
+
     closeModal() {
+        this.stopRefreshTimer();
         this.showModal = false;
         this.modalCharts = [];
         this.modalError = '';
+        this.drillDown = null;
+        this.refreshing = false;
+        this.refreshError = '';
+        this._modalDashboardId = null;
         this.destroyModalCharts();
     }
 
+    handleRefresh() {
+        this.startRefresh();
+    }
+
+    handleAutoRefreshChange(event) {
+        this.autoRefreshValue = event.detail.value;
+        this.startAutoRefresh();
+    }
+
+    /**
+     * Schedules the next auto-refresh, counted from now. While a refresh runs the timer is polling its status;
+     * finishRefresh calls this again once it is done.
+     */
+    startAutoRefresh() {
+        if (this.refreshing) return;
+        this.stopRefreshTimer();
+        const minutes = Number(this.autoRefreshValue);
+        if (!this.showModal || !(minutes > 0)) return;
+        this.scheduleRefreshTimer(minutes * 60000, () => this.startRefresh());
+    }
+
+    /** Runs task after delayMs on _refreshTimer, replacing whatever it was waiting for. */
+    scheduleRefreshTimer(delayMs, task) {
+        this.stopRefreshTimer();
+        this._refreshTimer = setTimeout(() => {
+            this._refreshTimer = null;
+            task();
+        }, delayMs);
+    }
+
+    stopRefreshTimer() {
+        if (this._refreshTimer) clearTimeout(this._refreshTimer);
+        this._refreshTimer = null;
+    }
+
+    finishRefresh() {
+        this.refreshing = false;
+        this.startAutoRefresh();
+    }
+
+    /**
+     * Reruns the open dashboard in the external org, waits for the refresh to finish and reloads it.
+     * Sample data has nothing to rerun and is just reloaded.
+     */
+    async startRefresh() {
+        if (this.refreshing) return;
+        if (this.modalLoading) {
+            this.startAutoRefresh();
+            return;
+        }
+        this.refreshError = '';
+        this.refreshing = true;
+        if (this.demoMode === true || !this._modalDashboardId) {
+            await this.loadModalChart(this._modalEndpoint);
+            this.finishRefresh();
+            return;
+        }
+        const dashboardId = this._modalDashboardId;
+        try {
+            const result = await refreshDashboard({
+                connectionKey: this.selectedConnectionKey || null,
+                dashboardId,
+                filterOptionIds: this.modalFilterIds
+            });
+            if (dashboardId !== this._modalDashboardId) return;
+            if (result.success) {
+                this.pollRefreshStatus(dashboardId, 1);
+                return;
+            }
+            this.refreshError = describeError(result);
+        } catch (e) {
+            this.refreshError = e.body?.message || e.message || 'Failed to refresh the dashboard.';
+        }
+        this.finishRefresh();
+    }
+
+    pollRefreshStatus(dashboardId, attempt) {
+        this.scheduleRefreshTimer(REFRESH_POLL_MS, async () => {
+            try {
+                const status = await getRefreshStatus({
+                    connectionKey: this.selectedConnectionKey || null,
+                    dashboardId,
+                    filterOptionIds: this.modalFilterIds
+                });
+                if (dashboardId !== this._modalDashboardId) return;
+                if (status.success && status.isRunning && attempt < REFRESH_MAX_POLLS) {
+                    this.pollRefreshStatus(dashboardId, attempt + 1);
+                    return;
+                }
+                if (!status.success) {
+                    this.refreshError = describeError(status);
+                } else if (status.isRunning) {
+                    this.refreshError = 'The dashboard is still refreshing in the external org; showing the latest data available.';
+                }
+                await this.loadModalChart(this._modalEndpoint);
+            } catch (e) {
+                this.refreshError = e.body?.message || e.message || 'Failed to refresh the dashboard.';
+            }
+            this.finishRefresh();
+        });
+    }
+
     handleModalBackdrop() {
         this.closeModal();
     }
@@ -162,16 +454,31 @@ export default class DashboardCharts extends LightningElement {
 
     buildChartConfig(chartDef) {
         const type = ['bar', 'line', 'pie', 'doughnut', 'radar'].includes(chartDef.type) ? chartDef.type : 'bar';
-        const datasets = (chartDef.datasets || []).map((ds, i) => ({
+        const circular = type === 'pie' || type === 'doughnut';
+        const labels = chartDef.labels || [];
+        const sourceDatasets = chartDef.datasets || [];
+        const datasets = sourceDatasets.map((ds, i) => ({
             label: ds.label || 'Series ' + (i + 1),
-            data: Array.isArray(ds.data) ? ds.data.map((v) => Number(v)) : [],
-            backgroundColor: type === 'bar' || type === 'line'
-                ? CHART_COLORS[i % CHART_COLORS.length]
-                : CHART_COLORS.slice(0, (chartDef.labels || []).length),
+            data: Array.isArray(ds.data) ? ds.data.map((v) => (v === null || v === undefined ? null : Number(v))) : [],
+            backgroundColor: circular
+                ? labels.map((label, j) => CHART_COLORS[j % CHART_COLORS.length])
+                : CHART_COLORS[i % CHART_COLORS.length],
             borderColor: type === 'line' ? CHART_COLORS[i % CHART_COLORS.length] : undefined,
             borderWidth: type === 'line' ? 2 : 1,
-            fill: type === 'line'
+            fill: false
         }));
+        const first = sourceDatasets[0] || {};
+        let scales;
+        if (type === 'bar' || type === 'line') {
+            const valueAxis = {
+                beginAtZero: true,
+                stacked: chartDef.stacked,
+                ticks: { callback: (value) => formatValue(value, first.format, first.currencyCode, true) }
+            };
+            const categoryAxis = { stacked: chartDef.stacked };
+            scales = chartDef.indexAxis === 'y' ? { x: valueAxis, y: categoryAxis } : { x: categoryAxis, y: valueAxis };
+        }
+        const canDrillDown = Boolean(chartDef.reportId && chartDef.groupingColumn);
         return {
             type,
             data: {
@@ -181,19 +488,149 @@ export default class DashboardCharts extends LightningElement {
             options: {
                 responsive: true,
                 maintainAspectRatio: true,
-                plugins: { legend: { display: datasets.length > 0 } },
-                scales: type === 'bar' || type === 'line' ? { y: { beginAtZero: true }, x: {} } : undefined
+                indexAxis: type === 'bar' ? chartDef.indexAxis : 'x',
+                plugins: {
+                    legend: { display: circular || datasets.length > 1 },
+                    tooltip: {
+                        callbacks: {
+                            // The org's formatting of each value, e.g. EUR 1,250.50
+                            label: (context) => {
+                                const ds = sourceDatasets[context.datasetIndex] || {};
+                                const formatted = (ds.formattedData || [])[context.dataIndex]
+                                    || formatValue(context.raw, ds.format, ds.currencyCode);
+                                return `${context.dataset.label}: ${formatted}`;
+                            }
+                        }
+                    }
+                },
+                scales,
+                onClick: canDrillDown
+                    ? (event, elements) => {
+                        if (elements.length > 0) this.openDrillDown(chartDef, elements[0].index);
+                    }
+                    : undefined,
+                onHover: canDrillDown
+                    ? (event, elements) => {
+                        if (event.native) event.native.target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+                    }
+                    : undefined
             }
         };
     }
 
+    /** Loads the report rows behind segment index of chartDef; the charts stay rendered (hidden) for Back. */
+    async openDrillDown(chartDef, index) {
+        const label = (chartDef.labels || [])[index];
+        this.drillDown = {
+            title: `${chartDef.title}: ${label}`,
+            columns: [],
+            rows: [],
+            hasMore: false,
+            isLoading: true,
+            error: ''
+        };
+        try {
+            const result = await getDrillDownRows({
+                connectionKey: this.selectedConnectionKey || null,
+                reportId: chartDef.reportId,
+                groupingColumn: chartDef.groupingColumn,
+                groupingValue: chartDef.groupingValues[index] ?? ''
+            });
+            if (!this.drillDown) return;
+            if (result && result.success) {
+                this.drillDown = {
+                    ...this.drillDown,
+                    columns: this.buildDrillDownColumns(result),
+                    rows: (result.rows || []).map((row) => ({ ...row, noRecordLink: !row.recordId })),
+                    hasMore: result.hasMore === true
+                };
+            } else {
+                this.drillDown = { ...this.drillDown, error: result?.errorMessage || 'Failed to load report rows.' };
+            }
+        } catch (e) {
+            if (this.drillDown) {
+                this.drillDown = { ...this.drillDown, error: e.body?.message || e.message || 'Failed to load report rows.' };
+            }
+        } finally {
+            if (this.drillDown) this.drillDown = { ...this.drillDown, isLoading: false };
+        }
+    }
+
+    /** Report cells are formatted labels, so every column is text; the link column opens the row's record. */
+    buildDrillDownColumns(result) {
+        return (result.columns || []).map((col) => {
+            if (col.fieldName === result.linkColumn) {
+                return {
+                    label: col.label,
+                    fieldName: col.fieldName,
+                    type: 'button',
+                    typeAttributes: {
+                        label: { fieldName: col.fieldName },
+                        variant: 'base',
+                        name: 'view_record',
+                        disabled: { fieldName: 'noRecordLink' }
+                    },
+                    cellAttributes: { alignment: 'left' }
+                };
+            }
+            return { label: col.label, fieldName: col.fieldName, type: 'text' };
+        });
+    }
+
+    handleDrillDownRowAction(event) {
+        const row = event.detail.row;
+        if (event.detail.action.name !== 'view_record' || !row?.recordId) return;
+        CrossOrgRecordDetailModal.open({
+            size: 'large',
+            connectionKey: this.selectedConnectionKey || null,
+            objectApiName: row.objectApiName,
+            recordId: row.recordId
+        });
+    }
+
+    closeDrillDown() {
+        this.drillDown = null;
+    }
+
+    async loadConnections() {
+        try {
+            const list = (await getConnections()) || [];
+            this.connectionOptions = list.map((c) => ({ label: c.label, value: c.key }));
+            if (!this.selectedConnectionKey) {
+                const defaultConnection = list.find((c) => c.isDefault) || list[0];
+                if (defaultConnection) this.selectedConnectionKey = defaultConnection.key;
+            }
+        } catch {
+            this.connectionOptions = [];
+        }
+    }
+
+    handleConnectionChange(event) {
+        if (event.detail.value === this.selectedConnectionKey) return;
+        this.selectedConnectionKey = event.detail.value;
+        this.loadData();
+    }
+
+    handleRetry() {
+        this.loadData();
+    }
+
     async loadData() {
         this.isLoading = true;
         this.errorMessage = '';
         this.dashboards = [];
         try {
-            const raw = await getDashboardChartData({ endpoint: this.endpoint || null });
+            const raw = await getDashboardChartData({
+                connectionKey: this.selectedConnectionKey || null,
+                endpoint: this.endpoint || null,
+                demoMode: this.demoMode === true
+            });
             const data = typeof raw === 'string' ? JSON.parse(raw) : raw;
+            if (data && data.success === false) {
+                this.errorMessage = describeError(data);
+                return;
+            }
+            this.isDemo = data?.isDemo === true;
             if (data && data.dashboards && data.dashboards.length > 0) {
                 this.dashboards = data.dashboards.map((row) => ({ ...row }));
             }
@@ -0,0 +1,234 @@
+import { LightningElement, api, track } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getConnections from '@salesforce/apex/CrossOrgConnection.getConnections';
+import comparePicklists from '@salesforce/apex/PicklistSyncService.comparePicklists';
+import deployPicklists from '@salesforce/apex/PicklistSyncService.deployPicklists';
+import getSchedule from '@salesforce/apex/PicklistSyncService.getSchedule';
+import scheduleDailySync from '@salesforce/apex/PicklistSyncService.scheduleDailySync';
+import unscheduleSync from '@salesforce/apex/PicklistSyncService.unscheduleSync';
+
+const DIFF_COLUMNS = [
+    { label: 'Object', fieldName: 'objectApiName', type: 'text', initialWidth: 140 },
+    { label: 'Field', fieldName: 'fieldApiName', type: 'text', initialWidth: 170 },
+    { label: 'Status', fieldName: 'status', type: 'text', initialWidth: 100, cellAttributes: { class: { fieldName: 'statusClass' } } },
+    { label: 'Differences', fieldName: 'summary', type: 'text', wrapText: true }
+];
+
+const STATUS_CLASSES = {
+    Changed: 'slds-text-color_destructive',
+    Error: 'slds-text-color_error',
+    'In sync': 'slds-text-color_success'
+};
+
+const HOUR_OPTIONS = Array.from({ length: 24 }, (_, hour) => ({
+    label: `${String(hour).padStart(2, '0')}:00`,
+    value: String(hour)
+}));
+
+function summarize(diff) {
+    if (diff.status === 'Error') return diff.errorMessage;
+    const parts = [];
+    if (diff.controllingFieldChanged) parts.push(`Controlling field: ${diff.controllingField || 'none'}`);
+    if (diff.added.length) parts.push(`Added: ${diff.added.join(', ')}`);
+    if (diff.removed.length) parts.push(`Removed: ${diff.removed.join(', ')}`);
+    if (diff.relabeled.length) parts.push(`Relabeled: ${diff.relabeled.join('; ')}`);
+    if (diff.dependencyChanged.length) parts.push(`Dependencies changed: ${diff.dependencyChanged.join(', ')}`);
+    return parts.length ? parts.join(' · ') : 'No differences';
+}
+
+/**
+ * Admin view of PicklistSyncService: compares every Picklist_Sync__mdt record with the external describe, deploys
+ * the selected changes and manages the daily scheduled sync of the selected connection.
+ */
+export default class PicklistSyncAdmin extends LightningElement {
+    /** Cross_Org_Connection__mdt DeveloperName of the org to read; blank uses the default connection. */
+    @api connectionKey = '';
+
+    @track connectionOptions = [];
+    @track selectedConnectionKey = '';
+    @track diffs = [];
+    @track selectedRowKeys = [];
+    @track schedule = null;
+    @track scheduleHour = '2';
+    @track isLoading = false;
+    @track errorMessage = '';
+    @track hasCompared = false;
+
+    columns = DIFF_COLUMNS;
+    hourOptions = HOUR_OPTIONS;
+
+    connectedCallback() {
+        this.selectedConnectionKey = this.connectionKey || '';
+        this.loadConnections();
+        this.loadSchedule();
+    }
+
+    get activeConnectionKey() {
+        return this.selectedConnectionKey || null;
+    }
+
+    get showConnectionPicker() {
+        return this.connectionOptions.length > 1;
+    }
+
+    loadConnections() {
+        getConnections()
+            .then((connections) => {
+                const list = connections || [];
+                this.connectionOptions = list.map((c) => ({ label: c.label, value: c.key }));
+                if (!this.selectedConnectionKey) {
+                    const defaultConnection = list.find((c) => c.isDefault) || list[0];
+                    if (defaultConnection) this.selectedConnectionKey = defaultConnection.key;
+                }
+            })
+            .catch(() => {
+                this.connectionOptions = [];
+            });
+    }
+
+    handleConnectionChange(event) {
+        if (event.detail.value === this.selectedConnectionKey) return;
+        this.selectedConnectionKey = event.detail.value;
+        this.diffs = [];
+        this.selectedRowKeys = [];
+        this.hasCompared = false;
+        this.loadSchedule();
+    }
+
+    get rows() {
+        return this.diffs.map((d) => ({
+            ...d,
+            summary: summarize(d),
+            statusClass: STATUS_CLASSES[d.status] || ''
+        }));
+    }
+
+    get hasRows() {
+        return this.diffs.length > 0;
+    }
+
+    get changedCount() {
+        return this.diffs.filter((d) => d.hasChanges).length;
+    }
+
+    get compareSummary() {
+        const changed = this.changedCount;
+        const errors = this.diffs.filter((d) => d.status === 'Error').length;
+        const parts = [`${this.diffs.length} picklist(s) checked`, `${changed} changed`];
+        if (errors) parts.push(`${errors} with errors`);
+        return parts.join(', ');
+    }
+
+    get isEmpty() {
+        return this.hasCompared && !this.isLoading && !this.errorMessage && this.diffs.length === 0;
+    }
+
+    get showIntro() {
+        return !this.hasCompared && !this.isLoading;
+    }
+
+    get deployDisabled() {
+        return this.isLoading || this.selectedRowKeys.length === 0;
+    }
+
+    get deployLabel() {
+        return this.selectedRowKeys.length ? `Deploy ${this.selectedRowKeys.length} update(s)` : 'Deploy updates';
+    }
+
+    handleCompare() {
+        this.isLoading = true;
+        this.errorMessage = '';
+        comparePicklists({ connectionKey: this.activeConnectionKey })
+            .then((diffs) => {
+                this.isLoading = false;
+                this.hasCompared = true;
+                this.diffs = diffs || [];
+                // Preselect every changed picklist; rows in sync or with errors have nothing to deploy
+                this.selectedRowKeys = this.diffs.filter((d) => d.hasChanges).map((d) => d.developerName);
+            })
+            .catch((error) => {
+                this.isLoading = false;
+                this.errorMessage = error.body?.message || error.message || 'Failed to compare picklists.';
+            });
+    }
+
+    handleRowSelection(event) {
+        const changed = new Set(this.diffs.filter((d) => d.hasChanges).map((d) => d.developerName));
+        this.selectedRowKeys = (event.detail.selectedRows || [])
+            .map((row) => row.developerName)
+            .filter((key) => changed.has(key));
+    }
+
+    handleDeploy() {
+        this.isLoading = true;
+        this.errorMessage = '';
+        deployPicklists({ connectionKey: this.activeConnectionKey, developerNames: this.selectedRowKeys })
+            .then((response) => {
+                this.isLoading = false;
+                if (!response.success) {
+                    this.errorMessage = response.errorMessage || 'Failed to deploy picklists.';
+                    return;
+                }
+                this.dispatchEvent(
+                    new ShowToastEvent({
+                        title: 'Deployment queued',
+                        message: response.deployedCount
+                            ? `${response.deployedCount} picklist(s) are being deployed. Track job ${response.jobId} under Setup > Deployment Status.`
+                            : 'Nothing to deploy; the selected picklists are already in sync.',
+                        variant: 'success'
+                    })
+                );
+                const deployed = new Set(this.selectedRowKeys);
+                this.diffs = this.diffs.map((d) => (deployed.has(d.developerName) ? { ...d, status: 'Deploying', hasChanges: false } : d));
+                this.selectedRowKeys = [];
+            })
+            .catch((error) => {
+                this.isLoading = false;
+                this.errorMessage = error.body?.message || error.message || 'Failed to deploy picklists.';
+            });
+    }
+
+    loadSchedule() {
+        getSchedule({ connectionKey: this.activeConnectionKey })
+            .then((schedule) => {
+                this.schedule = schedule;
+            })
+            .catch(() => {
+                this.schedule = null;
+            });
+    }
+
+    get isScheduled() {
+        return this.schedule?.isScheduled === true;
+    }
+
+    get scheduleDescription() {
+        if (!this.isScheduled) return 'No scheduled sync. Changes are only deployed when you deploy them here.';
+        const hour = (this.schedule.cronExpression || '').split(' ')[2];
+        const next = this.schedule.nextFireTime ? new Date(this.schedule.nextFireTime).toLocaleString() : '';
+        return `Syncs daily at ${String(hour).padStart(2, '0')}:00 and deploys every change.${next ? ` Next run: ${next}.` : ''}`;
+    }
+
+    handleHourChange(event) {
+        this.scheduleHour = event.detail.value;
+    }
+
+    handleSchedule() {
+        this.updateSchedule(scheduleDailySync({ connectionKey: this.activeConnectionKey, hour: Number(this.scheduleHour) }));
+    }
+
+    handleUnschedule() {
+        this.updateSchedule(unscheduleSync({ connectionKey: this.activeConnectionKey }));
+    }
+
+    updateSchedule(request) {
+        this.errorMessage = '';
+        request
+            .then((schedule) => {
+                this.schedule = schedule;
+            })
+            .catch((error) => {
+                this.errorMessage = error.body?.message || error.message || 'Failed to update the schedule.';
+            });
+    }
+}